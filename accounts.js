@@ -0,0 +1,212 @@
+/**
+ * Account Registry - Which bank/card logins the scraper runs
+ *
+ * Accounts are listed in accounts.json (see accounts.example.json). Each entry
+ * names an israeli-bank-scrapers provider and maps that provider's login
+ * fields to the environment variables holding the secrets, so the same
+ * provider can appear several times (e.g. two Cal cards of two spouses).
+ * Logins stored in the encrypted vault (see vault.js) take precedence.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CompanyTypes, SCRAPERS } = require('israeli-bank-scrapers');
+const vault = require('./vault');
+
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || path.join(__dirname, 'accounts.json');
+
+// Login fields that aren't stored: the OTP code is asked for during the scrape
+// (see otp.js), and a long-term OTP token is an optional alternative to it
+const RUNTIME_LOGIN_FIELDS = ['otpCodeRetriever'];
+const OPTIONAL_LOGIN_FIELDS = ['otpLongTermToken'];
+
+// Fields only needed to have an OTP code sent - not with a long-term token (oneZero)
+const OTP_CODE_LOGIN_FIELDS = ['phoneNumber'];
+
+// Pseudo provider that replays a recorded scrape (offline development, tests)
+const REPLAY_PROVIDER = 'replay';
+
+// Used when there is no accounts.json yet - the original Hapoalim + Cal setup
+const LEGACY_ACCOUNTS = [
+  {
+    name: 'Hapoalim',
+    provider: 'hapoalim',
+    credentialsEnv: { userCode: 'HAPOALIM_USER', password: 'HAPOALIM_PASS' },
+  },
+  {
+    name: 'VisaCal',
+    provider: 'visaCal',
+    credentialsEnv: { username: 'CAL_USER', password: 'CAL_PASS' },
+  },
+];
+
+/**
+ * Get all supported providers with their login fields
+ */
+function getProviders() {
+  return Object.values(CompanyTypes).map(id => ({
+    id,
+    name: SCRAPERS[id] ? SCRAPERS[id].name : id,
+    loginFields: getLoginFields(id),
+    supportsOtp: supportsOtp(id),
+  }));
+}
+
+/**
+ * Read the raw account entries (accounts.json, or the legacy .env layout)
+ */
+function readAccountsConfig() {
+  if (!fs.existsSync(ACCOUNTS_FILE)) {
+    return LEGACY_ACCOUNTS;
+  }
+  const config = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf8'));
+  const entries = Array.isArray(config) ? config : config.accounts;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${ACCOUNTS_FILE} must contain an array of accounts`);
+  }
+  return entries;
+}
+
+/**
+ * Read the login fields of an account from the environment variables it names
+ */
+function readEnvCredentials(entry, loginFields) {
+  const credentialsEnv = entry.credentialsEnv || {};
+  const credentials = {};
+  for (const field of loginFields) {
+    const envName = credentialsEnv[field];
+    if (envName && process.env[envName]) {
+      credentials[field] = process.env[envName];
+    }
+  }
+  return credentials;
+}
+
+/**
+ * Get the login fields a provider needs from the user (stored or in .env)
+ */
+function getLoginFields(companyId) {
+  const fields = SCRAPERS[companyId] ? SCRAPERS[companyId].loginFields : [];
+  return fields.filter(field => !RUNTIME_LOGIN_FIELDS.includes(field));
+}
+
+/**
+ * Check if a provider can ask for an OTP code while scraping
+ */
+function supportsOtp(companyId) {
+  return !!SCRAPERS[companyId] && SCRAPERS[companyId].loginFields.includes('otpCodeRetriever');
+}
+
+/**
+ * Get the login fields an account can't scrape without, given its credentials
+ */
+function getRequiredFields(loginFields, credentials = {}) {
+  const hasToken = !!credentials.otpLongTermToken;
+  return loginFields.filter(field =>
+    !OPTIONAL_LOGIN_FIELDS.includes(field) && !(hasToken && OTP_CODE_LOGIN_FIELDS.includes(field)));
+}
+
+/**
+ * A "replay" account feeds a recorded fixture instead of logging in (see fixtures.js)
+ */
+function resolveReplayAccount(entry) {
+  const missing = entry.fixture ? [] : ['fixture'];
+  return {
+    name: entry.name,
+    provider: REPLAY_PROVIDER,
+    companyId: REPLAY_PROVIDER,
+    fixture: entry.fixture,
+    loginFields: [],
+    requiredFields: [],
+    supportsOtp: false,
+    credentials: {},
+    credentialSource: 'env',
+    missing,
+    enabled: entry.enabled !== false && missing.length === 0,
+  };
+}
+
+/**
+ * Turn one config entry into a scrapable account (validates provider and fields)
+ * Credentials come from the vault when it's unlocked and has them, else from .env
+ */
+function resolveAccount(entry) {
+  if (!entry.name) {
+    throw new Error('Every account needs a "name"');
+  }
+
+  if (entry.provider === REPLAY_PROVIDER) {
+    return resolveReplayAccount(entry);
+  }
+
+  const companyId = CompanyTypes[entry.provider];
+  if (!companyId) {
+    const known = [...Object.keys(CompanyTypes), REPLAY_PROVIDER].join(', ');
+    throw new Error(`Account "${entry.name}": unknown provider "${entry.provider}" (known: ${known})`);
+  }
+
+  const loginFields = getLoginFields(companyId);
+  const stored = vault.getCredentials(entry.name);
+  const credentials = stored || readEnvCredentials(entry, loginFields);
+  const requiredFields = getRequiredFields(loginFields, credentials);
+  const credentialsEnv = entry.credentialsEnv || {};
+  const missing = requiredFields
+    .filter(field => !credentials[field])
+    .map(field => (stored ? field : credentialsEnv[field] || field));
+
+  return {
+    name: entry.name,
+    provider: entry.provider,
+    companyId,
+    loginFields,
+    requiredFields,
+    supportsOtp: supportsOtp(companyId),
+    credentials,
+    credentialSource: stored ? 'vault' : 'env',
+    missing,
+    enabled: entry.enabled !== false && missing.length === 0,
+  };
+}
+
+/**
+ * Load all configured accounts
+ */
+function loadAccounts() {
+  const accounts = readAccountsConfig().map(resolveAccount);
+
+  const seen = new Set();
+  for (const account of accounts) {
+    if (seen.has(account.name)) {
+      throw new Error(`Duplicate account name "${account.name}" - names must be unique`);
+    }
+    seen.add(account.name);
+  }
+
+  return accounts;
+}
+
+/**
+ * Copy the .env logins of all accounts into the vault (once, see vault.importCredentials)
+ */
+function importEnvCredentials() {
+  const entries = [];
+  for (const entry of readAccountsConfig()) {
+    const companyId = CompanyTypes[entry.provider];
+    if (!entry.name || !companyId) continue;
+    const loginFields = getLoginFields(companyId);
+    const credentials = readEnvCredentials(entry, loginFields);
+    const requiredFields = getRequiredFields(loginFields, credentials);
+    if (requiredFields.length > 0 && requiredFields.every(field => credentials[field])) {
+      entries.push({ account: entry.name, credentials });
+    }
+  }
+  return vault.importCredentials(entries);
+}
+
+module.exports = {
+  ACCOUNTS_FILE,
+  getProviders,
+  getRequiredFields,
+  loadAccounts,
+  importEnvCredentials,
+};
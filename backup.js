@@ -0,0 +1,145 @@
+/**
+ * Backups - Versioned JSON copies of all user data, and rotating automatic backups
+ *
+ * A backup holds categories, category rules, settings (savings goals, schedule...),
+ * transactions with their categories, flags, comments, splits and tags, import
+ * presets and balance history. Bank logins are not included - the vault stays in finance.db.
+ * Before each scrape a copy is written to BACKUP_DIR, keeping the last BACKUP_KEEP.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+// Bump when the backup layout changes (older backups must still restore)
+// 2: transactions.source (manual transactions)
+// 3: category_rules.match_type and conditions (description_pattern no longer unique)
+// 4: category_rules.priority
+// 5: categories.parent_id
+// 6: categories.icon
+// 7: transaction_splits
+// 8: tags, transaction_tags
+const BACKUP_VERSION = 8;
+const BACKUP_FORMAT = 'finance-dashboard-backup';
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP) || 10;
+
+const RESTORE_MODES = ['merge', 'replace'];
+
+// ===========================================
+// BACKUP / RESTORE
+// ===========================================
+
+/**
+ * Create a backup of everything the user entered or we can't scrape again
+ */
+function createBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    tables: db.getBackupTables(),
+  };
+}
+
+/**
+ * Throw if this isn't a backup we can restore
+ */
+function checkBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.tables || typeof backup.tables !== 'object') {
+    throw new Error('Not a finance dashboard backup');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('Backup has no schema version');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup is from a newer version (schema ${backup.version}, this app reads up to ${BACKUP_VERSION}) - update the app first`);
+  }
+}
+
+/**
+ * Bring an older backup's rows to the current layout
+ */
+function upgradeBackup(backup) {
+  const tables = { ...backup.tables };
+
+  // Rules before version 3 were exact descriptions learned from the user
+  if (backup.version < 3 && Array.isArray(tables.category_rules)) {
+    tables.category_rules = tables.category_rules.map(rule => ({ match_type: 'equals', is_auto: 1, ...rule }));
+  }
+
+  return { ...backup, tables };
+}
+
+/**
+ * Restore a backup ('merge' or 'replace'), or only summarize what would change
+ * Returns { version, createdAt, mode, applied, tables, matchedCategories }
+ */
+function restoreBackup(backup, { mode = 'merge', apply = false } = {}) {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${RESTORE_MODES.join(', ')}`);
+  }
+  checkBackup(backup);
+
+  const diff = db.restoreBackupTables(upgradeBackup(backup).tables, { mode, apply });
+  return { version: backup.version, createdAt: backup.createdAt, mode, applied: apply, ...diff };
+}
+
+// ===========================================
+// AUTOMATIC BACKUPS
+// ===========================================
+
+/**
+ * List the automatic backups (newest first)
+ */
+function listAutoBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(file => /^auto-[\w-]+\.json$/.test(file))
+    .sort()
+    .reverse()
+    .map(file => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, file));
+      return { file, size: stat.size, createdAt: stat.mtime.toISOString() };
+    });
+}
+
+/**
+ * Read an automatic backup by file name (null if there's no such backup)
+ */
+function readAutoBackup(file) {
+  if (!listAutoBackups().some(backup => backup.file === file)) return null;
+  return JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, file), 'utf8'));
+}
+
+/**
+ * Write an automatic backup and delete all but the newest BACKUP_KEEP
+ * Returns the file path
+ */
+function writeAutoBackup() {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(BACKUP_DIR, `auto-${stamp}.json`);
+  fs.writeFileSync(file, JSON.stringify(createBackup()));
+
+  for (const old of listAutoBackups().slice(BACKUP_KEEP)) {
+    fs.unlinkSync(path.join(BACKUP_DIR, old.file));
+  }
+  return file;
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  BACKUP_DIR,
+  BACKUP_KEEP,
+  RESTORE_MODES,
+  createBackup,
+  checkBackup,
+  restoreBackup,
+  listAutoBackups,
+  readAutoBackup,
+  writeAutoBackup,
+};
@@ -0,0 +1,171 @@
+/**
+ * Category Suggestions - A naive Bayes classifier trained on categorized transactions
+ *
+ * Features are the description and memo words, an amount bucket (with the
+ * direction) and the account. Suggestions are only made when at least one word
+ * of the transaction was seen in training - otherwise amount and account alone
+ * would decide. After a scrape, suggestions at or above the confidence threshold
+ * can be applied automatically (off by default, see db.getSuggestionSettings).
+ */
+
+const db = require('./db');
+
+const MAX_SUGGESTIONS = 3;
+// Laplace smoothing for feature counts
+const SMOOTHING = 1;
+
+// ===========================================
+// FEATURES
+// ===========================================
+
+/**
+ * Split text into lowercase words (numbers and single letters dropped -
+ * branch numbers and card digits say nothing about the merchant)
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= 2 && !/^\d+$/.test(token));
+}
+
+/**
+ * Amount bucket that doubles in size (₪1-2, ₪2-4, ... ₪512-1024...)
+ */
+function amountBucket(amount) {
+  const shekels = Math.abs(amount) / 100;
+  return Math.floor(Math.log2(Math.max(shekels, 1)));
+}
+
+/**
+ * A transaction's features - word features are prefixed so "memo" words and
+ * "description" words are counted apart
+ */
+function transactionFeatures(txn) {
+  return [
+    ...tokenize(txn.description).map(token => `d:${token}`),
+    ...tokenize(txn.memo).map(token => `m:${token}`),
+    `a:${txn.amount > 0 ? 'in' : 'out'}:${amountBucket(txn.amount)}`,
+    `acc:${txn.account}`,
+  ];
+}
+
+const isWordFeature = feature => feature.startsWith('d:') || feature.startsWith('m:');
+
+// ===========================================
+// CLASSIFIER
+// ===========================================
+
+/**
+ * Train on transactions with a category_id
+ * Returns { categories: { [id]: { docs, total, counts } }, docs, vocabulary }
+ */
+function trainClassifier(transactions) {
+  const categories = {};
+  const vocabulary = new Set();
+  let docs = 0;
+
+  for (const txn of transactions) {
+    if (!txn.category_id) continue;
+    const category = categories[txn.category_id] = categories[txn.category_id] || { docs: 0, total: 0, counts: {} };
+    category.docs++;
+    docs++;
+    for (const feature of transactionFeatures(txn)) {
+      category.counts[feature] = (category.counts[feature] || 0) + 1;
+      category.total++;
+      vocabulary.add(feature);
+    }
+  }
+
+  return { categories, docs, vocabulary };
+}
+
+/**
+ * Top categories for a transaction: [{ categoryId, confidence }] (confidence 0-1,
+ * over all categories). Empty when none of its words were seen in training.
+ */
+function classify(model, txn, limit = MAX_SUGGESTIONS) {
+  const features = transactionFeatures(txn);
+  if (!features.some(feature => isWordFeature(feature) && model.vocabulary.has(feature))) {
+    return [];
+  }
+
+  const categoryIds = Object.keys(model.categories);
+  const vocabularySize = model.vocabulary.size;
+  const scores = categoryIds.map(categoryId => {
+    const category = model.categories[categoryId];
+    let score = Math.log((category.docs + 1) / (model.docs + categoryIds.length));
+    for (const feature of features) {
+      score += Math.log(((category.counts[feature] || 0) + SMOOTHING) / (category.total + SMOOTHING * vocabularySize));
+    }
+    return score;
+  });
+
+  // Normalize log scores into probabilities (subtract the max to avoid underflow)
+  const max = Math.max(...scores);
+  const weights = scores.map(score => Math.exp(score - max));
+  const sum = weights.reduce((a, b) => a + b, 0);
+
+  return categoryIds
+    .map((categoryId, i) => ({ categoryId, confidence: weights[i] / sum }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+// ===========================================
+// SUGGESTIONS
+// ===========================================
+
+/**
+ * Train on everything categorized so far (split transactions as their parts)
+ */
+function trainFromDatabase() {
+  return trainClassifier(db.getTrainingTransactions());
+}
+
+/**
+ * Suggest categories for uncategorized transactions (all of them, or the given list)
+ * Returns [{ transactionId, suggestions: [{ categoryId, categoryName, confidence }] }],
+ * leaving out transactions with nothing to suggest
+ */
+function suggestCategories(transactions = db.getUncategorizedTransactions(), model = trainFromDatabase()) {
+  const categoryNames = Object.fromEntries(db.getCategories().map(c => [c.id, c.name]));
+
+  return transactions
+    .filter(txn => !txn.is_transfer)
+    .map(txn => ({
+      transactionId: txn.id,
+      suggestions: classify(model, txn)
+        .filter(suggestion => categoryNames[suggestion.categoryId])
+        .map(suggestion => ({ ...suggestion, categoryName: categoryNames[suggestion.categoryId] })),
+    }))
+    .filter(result => result.suggestions.length > 0);
+}
+
+/**
+ * Categorize uncategorized transactions whose top suggestion reaches minConfidence
+ * (no rules are learned from these). Returns how many were categorized.
+ */
+function applySuggestions(minConfidence = db.getSuggestionSettings().minConfidence) {
+  const assignments = suggestCategories()
+    .filter(result => result.suggestions[0].confidence >= minConfidence)
+    .map(result => ({ transactionId: result.transactionId, categoryId: result.suggestions[0].categoryId }));
+  return db.assignCategories(assignments);
+}
+
+/**
+ * Apply suggestions after a scrape, if the user turned that on
+ */
+function autoApplySuggestions() {
+  const settings = db.getSuggestionSettings();
+  return settings.autoApply ? applySuggestions(settings.minConfidence) : 0;
+}
+
+module.exports = {
+  tokenize,
+  trainClassifier,
+  classify,
+  suggestCategories,
+  applySuggestions,
+  autoApplySuggestions,
+};
@@ -6,7 +6,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, 'finance.db');
+// DB_PATH lets tests and replay runs use a scratch database
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'finance.db');
 const db = new Database(DB_PATH);
 
 // Initialize database schema
@@ -31,9 +32,15 @@ db.exec(`
 
   CREATE TABLE IF NOT EXISTS category_rules (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    description_pattern TEXT NOT NULL UNIQUE,
+    description_pattern TEXT NOT NULL,
     category_id TEXT NOT NULL,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    match_type TEXT NOT NULL DEFAULT 'equals',
+    amount_min INTEGER,
+    amount_max INTEGER,
+    account TEXT,
+    direction TEXT,
+    is_auto INTEGER DEFAULT 0,
     FOREIGN KEY (category_id) REFERENCES categories(id)
   );
 
@@ -42,8 +49,78 @@ db.exec(`
     value TEXT NOT NULL
   );
 
+  CREATE TABLE IF NOT EXISTS scrape_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    success INTEGER,
+    error_type TEXT,
+    error_message TEXT,
+    inserted INTEGER DEFAULT 0,
+    updated INTEGER DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS account_balances (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account TEXT NOT NULL,
+    account_number TEXT NOT NULL,
+    balance INTEGER NOT NULL,
+    scraped_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS credentials (
+    account TEXT PRIMARY KEY,
+    fields TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS import_presets (
+    name TEXT PRIMARY KEY,
+    bank TEXT,
+    mapping TEXT NOT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS locks (
+    name TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS transaction_splits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    category_id TEXT,
+    user_comment TEXT,
+    is_investment INTEGER DEFAULT 0,
+    is_occasional_income INTEGER DEFAULT 0,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON UPDATE CASCADE ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS tags (
+    name TEXT PRIMARY KEY,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS transaction_tags (
+    transaction_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (transaction_id, tag),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON UPDATE CASCADE ON DELETE CASCADE,
+    FOREIGN KEY (tag) REFERENCES tags(name) ON UPDATE CASCADE ON DELETE CASCADE
+  );
+
   CREATE INDEX IF NOT EXISTS idx_date ON transactions(date);
   CREATE INDEX IF NOT EXISTS idx_account ON transactions(account);
+  CREATE INDEX IF NOT EXISTS idx_scrape_runs_account ON scrape_runs(account, started_at);
+  CREATE INDEX IF NOT EXISTS idx_account_balances ON account_balances(scraped_at);
+  CREATE INDEX IF NOT EXISTS idx_splits_transaction ON transaction_splits(transaction_id);
+  CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag ON transaction_tags(tag);
 `);
 
 // Add columns if they don't exist (for existing databases)
@@ -62,11 +139,60 @@ try {
 try {
   db.exec(`ALTER TABLE transactions ADD COLUMN is_occasional_income INTEGER DEFAULT 0`);
 } catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN identifier TEXT`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN status TEXT DEFAULT 'completed'`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN processed_date TEXT`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN installment_number INTEGER`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN installment_total INTEGER`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN installment_group TEXT`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN original_amount INTEGER`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN original_currency TEXT`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN exchange_rate REAL`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE transactions ADD COLUMN source TEXT DEFAULT 'scrape'`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE categories ADD COLUMN parent_id TEXT`);
+} catch (e) { /* column already exists */ }
+try {
+  db.exec(`ALTER TABLE categories ADD COLUMN icon TEXT`);
+} catch (e) { /* column already exists */ }
+
+// Rules used to be one exact description each (UNIQUE) - rebuild the table
+// with match types and conditions. All old rules were created automatically.
+migrateCategoryRules();
+try {
+  db.exec(`ALTER TABLE category_rules ADD COLUMN priority INTEGER DEFAULT 0`);
+} catch (e) { /* column already exists */ }
 
 // Create index on category_id (after column exists)
 try {
   db.exec(`CREATE INDEX IF NOT EXISTS idx_category ON transactions(category_id)`);
 } catch (e) { /* index already exists or column missing */ }
+try {
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_installment_group ON transactions(installment_group)`);
+} catch (e) { /* index already exists or column missing */ }
+
+// Re-key transactions stored under the old `${bank}-${date}-${shekels}-${desc}` IDs
+migrateTransactionIds();
 
 // Patterns for automatic exclusion from balance (transfers, CC lump sums from bank)
 const TRANSFER_PATTERNS = [
@@ -82,61 +208,283 @@ function isTransfer(description) {
   return TRANSFER_PATTERNS.some(p => description.includes(p) || lower.includes(p.toLowerCase()));
 }
 
+// ===========================================
+// TRANSACTION IDENTITY
+// ===========================================
+
+/**
+ * Content key of a transaction: account + date + amount (agorot) + start of description
+ */
+function contentKey(account, txn) {
+  const descClean = (txn.description || '').trim().substring(0, 30);
+  return `${account}-${txn.date}-${txn.amount}-${descClean}`;
+}
+
+/**
+ * Content key plus the installment number - some providers give every
+ * installment of a purchase the same date and amount
+ */
+function installmentContentKey(account, txn) {
+  const key = contentKey(account, txn);
+  return txn.installmentNumber ? `${key}-${txn.installmentNumber}/${txn.installmentTotal}` : key;
+}
+
+/**
+ * Identifier key plus the installment number - card providers reuse the
+ * purchase's identifier for every installment
+ */
+function identifierKey(account, txn) {
+  const key = `${account}-id-${txn.identifier}`;
+  return txn.installmentNumber ? `${key}-${txn.installmentNumber}/${txn.installmentTotal}` : key;
+}
+
+/**
+ * Append an occurrence index for the 2nd, 3rd... row with the same key
+ * (e.g. two identical coffees on the same day)
+ */
+function withOccurrence(key, counts) {
+  const n = counts[key] || 0;
+  counts[key] = n + 1;
+  return n === 0 ? key : `${key}#${n}`;
+}
+
+/**
+ * Assign IDs to a batch of transactions of one account
+ *
+ * - With a scraper/file identifier: `${account}-id-${identifier}` (plus the
+ *   installment number), so description edits by the bank keep the same row
+ * - Without one: the content key plus an occurrence index
+ * `adoptIds` lists older IDs the same row may have been saved under
+ * (before its identifier was known, or before installments were tracked).
+ */
+function assignTransactionIds(transactions, account) {
+  const contentCounts = {};
+  const identifierCounts = {};
+
+  return transactions.map(txn => {
+    const contentId = withOccurrence(installmentContentKey(account, txn), contentCounts);
+    const id = txn.identifier
+      ? withOccurrence(identifierKey(account, txn), identifierCounts)
+      : contentId;
+
+    // Rows saved before installments were tracked used the plain content key,
+    // or the identifier key without the installment number
+    const legacyIds = txn.installmentNumber
+      ? [contentKey(account, txn), txn.identifier ? `${account}-id-${txn.identifier}` : null]
+      : [];
+
+    const adoptIds = [id !== contentId ? contentId : null, ...legacyIds].filter(Boolean);
+    return { ...txn, id, adoptIds };
+  });
+}
+
+/**
+ * Add months to a YYYY-MM month key
+ */
+function addMonths(monthKey, count) {
+  const [year, month] = monthKey.split('-').map(Number);
+  const index = year * 12 + (month - 1) + count;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Key shared by all installments (תשלומים) of one purchase
+ *
+ * Providers disagree on the `date` of later installments (purchase date vs
+ * shifted by a month each), but installment k is always charged k-1 months
+ * after the first, so the first charge month identifies the purchase.
+ */
+function installmentGroup(account, txn) {
+  if (!txn.installmentTotal || txn.installmentTotal < 2) return null;
+  const chargeMonth = (txn.processedDate || txn.date).substring(0, 7);
+  const firstChargeMonth = addMonths(chargeMonth, -((txn.installmentNumber || 1) - 1));
+  const descClean = (txn.description || '').trim();
+  return `${account}|${descClean}|${txn.installmentTotal}|${firstChargeMonth}`;
+}
+
+/**
+ * Implied exchange rate (ILS per unit) of a foreign-currency transaction
+ * Not meaningful for installments, whose original amount is the whole purchase
+ */
+function exchangeRate(txn) {
+  if (!txn.originalCurrency || txn.originalCurrency === 'ILS') return null;
+  if (!txn.originalAmount || txn.installmentTotal > 1) return null;
+  return Math.round((txn.amount / txn.originalAmount) * 10000) / 10000;
+}
+
+/**
+ * Change a transaction's ID (keeps category, comment and flags;
+ * its splits and tags follow through ON UPDATE CASCADE)
+ */
+function rekeyTransaction(oldId, newId) {
+  db.prepare('UPDATE transactions SET id = ? WHERE id = ?').run(newId, oldId);
+}
+
+/**
+ * One-time migration of rows saved with the old ID scheme to content IDs.
+ * Old IDs collapsed identical same-day rows, so each key occurs at most once in practice.
+ */
+function migrateTransactionIds() {
+  if (getSetting('transaction_id_scheme', '1') === '2') return;
+
+  const rows = db.prepare('SELECT id, account, date, amount, description FROM transactions ORDER BY rowid').all();
+  const counts = {};
+
+  const migrate = db.transaction(() => {
+    for (const row of rows) {
+      const newId = withOccurrence(contentKey(row.account, row), counts);
+      if (newId !== row.id) {
+        rekeyTransaction(row.id, newId);
+      }
+    }
+    setSetting('transaction_id_scheme', '2');
+  });
+
+  migrate();
+}
+
+// How far a completed transaction may drift from its pending version
+const PENDING_MATCH_DAYS = 7;
+const PENDING_MATCH_AMOUNT_RATIO = 0.25; // tips, FX conversion
+
+/**
+ * Normalize a description for fuzzy merchant comparison
+ */
+function normalizeDescription(description) {
+  return (description || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Find the pending row a newly completed transaction replaces:
+ * same account and merchant, close date, same sign and a similar amount (closest wins)
+ */
+function findPendingCounterpart(account, txn, excludeIds) {
+  const candidates = db.prepare(`
+    SELECT id, date, amount, description FROM transactions
+    WHERE account = ? AND status = 'pending' AND source != 'manual' AND date BETWEEN date(?, ?) AND date(?, ?)
+  `).all(account, txn.date, `-${PENDING_MATCH_DAYS} days`, txn.date, `+${PENDING_MATCH_DAYS} days`);
+
+  const desc = normalizeDescription(txn.description);
+  let best = null;
+  let bestDiff = Infinity;
+
+  for (const candidate of candidates) {
+    if (excludeIds.has(candidate.id)) continue;
+
+    const candidateDesc = normalizeDescription(candidate.description);
+    const sameMerchant = candidateDesc === desc ||
+      (desc.length >= 8 && candidateDesc.slice(0, 8) === desc.slice(0, 8));
+    if (!sameMerchant || Math.sign(candidate.amount) !== Math.sign(txn.amount)) continue;
+
+    const diff = Math.abs(candidate.amount - txn.amount);
+    if (diff <= Math.abs(txn.amount) * PENDING_MATCH_AMOUNT_RATIO && diff < bestDiff) {
+      best = candidate;
+      bestDiff = diff;
+    }
+  }
+
+  return best;
+}
+
 /**
  * Insert or update transactions (preserves category_id and is_transfer if already set)
+ * Transactions carry an optional `identifier`; IDs are assigned here (see assignTransactionIds).
+ * A completed transaction replaces its pending version, keeping the user's labels.
+ * `source` marks where new rows came from ('scrape' or 'import'); manual rows are never touched.
+ * Returns how many rows were new vs already known
  */
-function upsertTransactions(transactions, account) {
+function upsertTransactions(transactions, account, source = 'scrape') {
   // Check if transaction exists
-  const checkStmt = db.prepare('SELECT id, category_id, is_transfer FROM transactions WHERE id = ?');
+  const checkStmt = db.prepare('SELECT id, category_id, is_transfer, source FROM transactions WHERE id = ?');
+
+  // Row saved before its identifier was known (old scheme, or bank added it later),
+  // or an installment saved under the purchase's identifier - unless it's another installment
+  const legacyStmt = db.prepare(`
+    SELECT id FROM transactions
+    WHERE id = ? AND source != 'manual'
+      AND (identifier IS NULL OR installment_number IS NULL OR installment_number = ?)
+  `);
   
   // Insert new transaction
   const insertStmt = db.prepare(`
-    INSERT INTO transactions (id, date, amount, description, memo, account, type, is_transfer, scraped_at)
-    VALUES (@id, @date, @amount, @description, @memo, @account, @type, @is_transfer, datetime('now'))
+    INSERT INTO transactions (id, identifier, date, processed_date, amount, description, memo, account, type,
+                              status, installment_number, installment_total, installment_group,
+                              original_amount, original_currency, exchange_rate, is_transfer, source, scraped_at)
+    VALUES (@id, @identifier, @date, @processed_date, @amount, @description, @memo, @account, @type,
+            @status, @installment_number, @installment_total, @installment_group,
+            @original_amount, @original_currency, @exchange_rate, @is_transfer, @source, datetime('now'))
   `);
   
   // Update existing transaction (preserve category_id and is_transfer)
   const updateStmt = db.prepare(`
     UPDATE transactions 
-    SET date = @date, amount = @amount, description = @description, memo = @memo, 
-        account = @account, type = @type, scraped_at = datetime('now')
+    SET identifier = @identifier, date = @date, processed_date = @processed_date, amount = @amount,
+        description = @description, memo = @memo, account = @account, type = @type, status = @status,
+        installment_number = @installment_number, installment_total = @installment_total,
+        installment_group = @installment_group, original_amount = @original_amount,
+        original_currency = @original_currency, exchange_rate = @exchange_rate, scraped_at = datetime('now')
     WHERE id = @id
   `);
 
+  let inserted = 0;
+  let updated = 0;
+
   const upsertMany = db.transaction((txns) => {
+    // Pending rows still reported as such in this batch are not up for replacement
+    const batchIds = new Set(txns.map(t => t.id));
+
     for (const txn of txns) {
-      const existing = checkStmt.get(txn.id);
+      const status = txn.status || 'completed';
+      let existing = checkStmt.get(txn.id);
+      if (existing && existing.source === MANUAL_SOURCE) continue;
+
+      const adoptId = existing ? null : txn.adoptIds.find(oldId => legacyStmt.get(oldId, txn.installmentNumber || null));
+      if (adoptId) {
+        rekeyTransaction(adoptId, txn.id);
+        existing = checkStmt.get(txn.id);
+      }
+
+      if (!existing && status === 'completed') {
+        const pending = findPendingCounterpart(account, txn, batchIds);
+        if (pending) {
+          rekeyTransaction(pending.id, txn.id);
+          existing = checkStmt.get(txn.id);
+        }
+      }
+
+      const row = {
+        id: txn.id,
+        identifier: txn.identifier || null,
+        date: txn.date,
+        processed_date: txn.processedDate || null,
+        amount: txn.amount,
+        description: txn.description || '',
+        memo: txn.memo || '',
+        account: account,
+        type: txn.amount > 0 ? 'income' : 'expense',
+        status,
+        installment_number: txn.installmentNumber || null,
+        installment_total: txn.installmentTotal || null,
+        installment_group: installmentGroup(account, txn),
+        original_amount: txn.originalAmount != null ? txn.originalAmount : null,
+        original_currency: txn.originalCurrency || null,
+        exchange_rate: exchangeRate(txn),
+      };
       
       if (existing) {
+        updated++;
         // Update but keep category_id and is_transfer
-        updateStmt.run({
-          id: txn.id,
-          date: txn.date,
-          amount: txn.amount,
-          description: txn.description || '',
-          memo: txn.memo || '',
-          account: account,
-          type: txn.amount > 0 ? 'income' : 'expense',
-        });
+        updateStmt.run(row);
       } else {
         // New transaction - auto-detect if it's a transfer
-        const transfer = isTransfer(txn.description) ? 1 : 0;
-        insertStmt.run({
-          id: txn.id,
-          date: txn.date,
-          amount: txn.amount,
-          description: txn.description || '',
-          memo: txn.memo || '',
-          account: account,
-          type: txn.amount > 0 ? 'income' : 'expense',
-          is_transfer: transfer,
-        });
+        inserted++;
+        insertStmt.run({ ...row, is_transfer: isTransfer(txn.description) ? 1 : 0, source });
       }
     }
   });
 
-  upsertMany(transactions);
-  return transactions.length;
+  upsertMany(assignTransactionIds(transactions, account));
+  return { inserted, updated };
 }
 
 // Patterns for salary (income that should shift to previous month)
@@ -158,6 +506,9 @@ const CREDIT_CARD_PATTERNS = [
   'לאומי קארד',
 ];
 
+// Salary/CC bills come on the 1st-3rd of the month (and belong to the month before)
+const BILL_CUTOFF_DAY = 3;
+
 /**
  * Check if transaction matches salary patterns
  */
@@ -216,9 +567,6 @@ function getTransactionsByIsraeliMonth(year, month) {
     // Check if this is from the target month
     const isTargetMonth = (txnYear === year && txnMonth === month);
     
-    // Salary/CC bills come on the 1st-3rd of the month
-    const BILL_CUTOFF_DAY = 3;
-    
     // Check if this is from early next month (1st-3rd only for bills)
     const isEarlyNextMonth = (
       (txnYear === nextYear && txnMonth === nextMonth && txnDay <= BILL_CUTOFF_DAY) ||
@@ -251,7 +599,8 @@ function getTransactionsByIsraeliMonth(year, month) {
  * Get monthly summary (Israeli-style)
  */
 function getMonthlySummary(year, month) {
-  const allTransactions = getTransactionsByIsraeliMonth(year, month);
+  // Split transactions count as their parts
+  const allTransactions = expandSplits(withTags(getTransactionsByIsraeliMonth(year, month)));
   
   let income = 0;
   let expenses = 0;
@@ -298,6 +647,7 @@ function getMonthlySummary(year, month) {
     }
     byCategory[catId].transactions.push(txn);
   }
+  addCategoryRollups(byCategory);
 
   return {
     year,
@@ -317,6 +667,39 @@ function getMonthlySummary(year, month) {
   };
 }
 
+/**
+ * Add each category's totals including its subcategories (all levels) as
+ * `rollup: { income, expenses, transactionCount }`. Parents without
+ * transactions of their own get an entry too, so the tree can show them.
+ */
+function addCategoryRollups(byCategory) {
+  const parents = getCategoryParents();
+
+  for (const [catId, data] of Object.entries(byCategory)) {
+    data.parentId = parents[catId] || null;
+    data.rollup = data.rollup || { income: 0, expenses: 0, transactionCount: 0 };
+  }
+
+  for (const [catId, data] of Object.entries(byCategory)) {
+    const own = { income: data.income, expenses: data.expenses, transactionCount: data.transactions.length };
+    for (const ancestorId of [catId, ...getCategoryAncestors(catId, parents)]) {
+      if (!byCategory[ancestorId]) {
+        byCategory[ancestorId] = {
+          income: 0,
+          expenses: 0,
+          transactions: [],
+          parentId: parents[ancestorId] || null,
+          rollup: { income: 0, expenses: 0, transactionCount: 0 },
+        };
+      }
+      const rollup = byCategory[ancestorId].rollup;
+      rollup.income += own.income;
+      rollup.expenses += own.expenses;
+      rollup.transactionCount += own.transactionCount;
+    }
+  }
+}
+
 /**
  * Get all available months
  */
@@ -353,6 +736,13 @@ function getTransactionCount() {
   return stmt.get().count;
 }
 
+/**
+ * Get a transaction (null if there's none with this ID)
+ */
+function getTransaction(id) {
+  return db.prepare('SELECT * FROM transactions WHERE id = ?').get(id) || null;
+}
+
 // ===========================================
 // CATEGORY FUNCTIONS
 // ===========================================
@@ -366,61 +756,172 @@ function getCategories() {
 }
 
 /**
- * Create a new category
+ * Get a map of category ID -> parent category ID (top-level categories are left out)
+ */
+function getCategoryParents() {
+  const rows = db.prepare('SELECT id, parent_id FROM categories WHERE parent_id IS NOT NULL').all();
+  return Object.fromEntries(rows.map(row => [row.id, row.parent_id]));
+}
+
+/**
+ * Get the parent, grandparent... of a category (nearest first)
+ */
+function getCategoryAncestors(id, parents = getCategoryParents()) {
+  const ancestors = [];
+  let parentId = parents[id];
+  while (parentId && !ancestors.includes(parentId)) {
+    ancestors.push(parentId);
+    parentId = parents[parentId];
+  }
+  return ancestors;
+}
+
+/**
+ * Get a category (null if there's none with this ID)
+ */
+function getCategory(id) {
+  return db.prepare('SELECT * FROM categories WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Create a new category (optionally under a parent category)
  */
-function createCategory(name, color = '#6366f1') {
+function createCategory(name, color = '#6366f1', parentId = null, icon = null) {
   const id = `cat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  const stmt = db.prepare('INSERT INTO categories (id, name, color) VALUES (?, ?, ?)');
-  stmt.run(id, name, color);
-  return { id, name, color };
+  const stmt = db.prepare('INSERT INTO categories (id, name, color, parent_id, icon) VALUES (?, ?, ?, ?, ?)');
+  stmt.run(id, name, color, parentId || null, icon || null);
+  return getCategory(id);
+}
+
+// API field -> categories column (what PUT /api/categories/:id may change)
+const CATEGORY_FIELDS = {
+  name: 'name',
+  color: 'color',
+  icon: 'icon',
+};
+
+/**
+ * Rename a category or change its color / icon (only the given fields change)
+ * Returns the updated row, or null if there's no such category
+ */
+function updateCategory(id, fields) {
+  if (!getCategory(id)) return null;
+
+  const columns = {};
+  for (const [field, column] of Object.entries(CATEGORY_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    columns[column] = fields[field] === '' ? null : fields[field];
+  }
+
+  const names = Object.keys(columns);
+  if (names.length > 0) {
+    db.prepare(`UPDATE categories SET ${names.map(name => `${name} = @${name}`).join(', ')} WHERE id = @id`)
+      .run({ ...columns, id });
+  }
+
+  return getCategory(id);
+}
+
+/**
+ * Move a category under another one (null = top level)
+ * Throws if that would make the category its own ancestor
+ */
+function setCategoryParent(id, parentId) {
+  if (parentId && (parentId === id || getCategoryAncestors(parentId).includes(id))) {
+    throw new Error('A category can\'t be moved under itself or its subcategories');
+  }
+  db.prepare('UPDATE categories SET parent_id = ? WHERE id = ?').run(parentId || null, id);
 }
 
 /**
  * Delete a category (and its rules, unset from all transactions)
+ * Its subcategories move up to its parent
+ * With reassignTo, its transactions and rules move there instead (see mergeCategories)
+ */
+function deleteCategory(id, { reassignTo = null } = {}) {
+  if (reassignTo) return mergeCategories(id, reassignTo);
+
+  const remove = db.transaction(() => {
+    // First, unset this category from all transactions and splits
+    db.prepare('UPDATE transactions SET category_id = NULL WHERE category_id = ?').run(id);
+    db.prepare('UPDATE transaction_splits SET category_id = NULL WHERE category_id = ?').run(id);
+    // Delete all rules for this category
+    db.prepare('DELETE FROM category_rules WHERE category_id = ?').run(id);
+    // Move subcategories up a level
+    db.prepare('UPDATE categories SET parent_id = (SELECT parent_id FROM categories WHERE id = ?) WHERE parent_id = ?').run(id, id);
+    // Then delete the category
+    db.prepare('DELETE FROM categories WHERE id = ?').run(id);
+  });
+  remove();
+}
+
+/**
+ * Merge a category into another: its transactions (and splits) and rules move to
+ * the target, its subcategories move up to its parent, and it's deleted - all or nothing
+ * Returns { transactions, rules } - how many were moved
  */
-function deleteCategory(id) {
-  // First, unset this category from all transactions
-  db.prepare('UPDATE transactions SET category_id = NULL WHERE category_id = ?').run(id);
-  // Delete all rules for this category
-  db.prepare('DELETE FROM category_rules WHERE category_id = ?').run(id);
-  // Then delete the category
-  db.prepare('DELETE FROM categories WHERE id = ?').run(id);
+function mergeCategories(sourceId, targetId) {
+  if (sourceId === targetId) {
+    throw new Error('Can\'t merge a category into itself');
+  }
+
+  const merge = db.transaction(() => {
+    const transactions = db.prepare('UPDATE transactions SET category_id = ? WHERE category_id = ?').run(targetId, sourceId).changes
+      + db.prepare('UPDATE transaction_splits SET category_id = ? WHERE category_id = ?').run(targetId, sourceId).changes;
+    const rules = db.prepare('UPDATE category_rules SET category_id = ? WHERE category_id = ?').run(targetId, sourceId).changes;
+    db.prepare('UPDATE categories SET parent_id = (SELECT parent_id FROM categories WHERE id = ?) WHERE parent_id = ?').run(sourceId, sourceId);
+    db.prepare('DELETE FROM categories WHERE id = ?').run(sourceId);
+    return { transactions, rules };
+  });
+  return merge();
 }
 
 /**
- * Set category for a transaction AND create an auto-rule for the description
+ * Set category for a transaction AND create an auto-rule for its merchant
+ * (see autoRuleFor). Clearing the category removes the auto-rules matching it.
  */
 function setTransactionCategory(transactionId, categoryId) {
   // Update this transaction
   const stmt = db.prepare('UPDATE transactions SET category_id = ? WHERE id = ?');
   stmt.run(categoryId, transactionId);
   
-  // Get the transaction's description to create a rule
-  const txn = db.prepare('SELECT description FROM transactions WHERE id = ?').get(transactionId);
-  if (txn && txn.description && categoryId) {
-    // Create or update the rule for this description pattern
-    const ruleStmt = db.prepare(`
-      INSERT INTO category_rules (description_pattern, category_id) 
-      VALUES (?, ?)
-      ON CONFLICT(description_pattern) DO UPDATE SET category_id = ?
-    `);
-    ruleStmt.run(txn.description, categoryId, categoryId);
-    
-    // Apply this rule to all other transactions with the same description
-    const applyStmt = db.prepare(`
-      UPDATE transactions 
-      SET category_id = ? 
-      WHERE description = ? AND (category_id IS NULL OR category_id = '')
-    `);
-    applyStmt.run(categoryId, txn.description);
-  }
-  
-  // If clearing category, also remove the rule
-  if (!categoryId && transactionId) {
-    const txnForRule = db.prepare('SELECT description FROM transactions WHERE id = ?').get(transactionId);
-    if (txnForRule && txnForRule.description) {
-      db.prepare('DELETE FROM category_rules WHERE description_pattern = ?').run(txnForRule.description);
+  const txn = db.prepare('SELECT description, amount, account FROM transactions WHERE id = ?').get(transactionId);
+  if (!txn || !txn.description) return;
+
+  if (categoryId) {
+    // Auto-rules that send this transaction elsewhere are outdated by the user's choice
+    deleteAutoRulesMatching(txn, rule => rule.category_id !== categoryId);
+
+    // Another rule already sends this merchant here - nothing to learn
+    const matching = findMatchingRule(getOrderedRules(), txn);
+    if (matching && matching.category_id === categoryId) {
+      applyRule(matching);
+      return;
+    }
+
+    // Create or update the rule for this merchant
+    const { matchType, pattern } = autoRuleFor(txn.description);
+    const existing = db.prepare(`
+      SELECT id FROM category_rules
+      WHERE match_type = ? AND description_pattern = ?
+        AND amount_min IS NULL AND amount_max IS NULL AND account IS NULL AND direction IS NULL
+    `).get(matchType, pattern);
+
+    let ruleId;
+    if (existing) {
+      db.prepare('UPDATE category_rules SET category_id = ? WHERE id = ?').run(categoryId, existing.id);
+      ruleId = existing.id;
+    } else {
+      ruleId = db.prepare(`
+        INSERT INTO category_rules (description_pattern, match_type, category_id, is_auto) VALUES (?, ?, ?, 1)
+      `).run(pattern, matchType, categoryId).lastInsertRowid;
     }
+
+    // Apply this rule to all other uncategorized transactions of the merchant
+    applyRule(db.prepare('SELECT * FROM category_rules WHERE id = ?').get(ruleId));
+  } else {
+    // If clearing category, also remove the auto-rules that would put it back
+    deleteAutoRulesMatching(txn);
   }
 }
 
@@ -461,11 +962,11 @@ function getYearToDateSummary(year) {
   const earlyThisYear = `${year}-01-01`;
   const endDate = `${year + 1}-01-03`;
   
-  // Get all transactions in the range (excluding transfers)
-  const allTxns = db.prepare(`
+  // Get all transactions in the range (excluding transfers), split ones as their parts
+  const allTxns = expandSplits(db.prepare(`
     SELECT * FROM transactions 
     WHERE date >= ? AND date <= ? AND is_transfer = 0
-  `).all(earlyThisYear, endDate);
+  `).all(earlyThisYear, endDate));
   
   let income = 0;
   let expenses = 0;
@@ -538,58 +1039,34 @@ function setTransactionOccasionalIncome(transactionId, isOccasional) {
 }
 
 /**
- * Get category average over last N months (excluding current month)
+ * Average of the months that had spending (0 if none did)
  */
-function getCategoryAverage(categoryId, currentYear, currentMonth, numMonths = 3) {
-  const totals = [];
-  
-  let year = currentYear;
-  let month = currentMonth;
-  
-  // Go back numMonths months (excluding current)
-  for (let i = 0; i < numMonths; i++) {
-    // Move to previous month
-    month--;
-    if (month < 1) {
-      month = 12;
-      year--;
-    }
-    
-    // Get that month's summary
-    const summary = getMonthlySummary(year, month);
-    
-    // Find this category's total
-    let categoryTotal = 0;
-    if (summary.byCategory && summary.byCategory[categoryId]) {
-      const catData = summary.byCategory[categoryId];
-      categoryTotal = catData.expenses; // We track expenses (positive number)
-    }
-    
-    totals.push(categoryTotal);
-  }
-  
-  // Calculate average (only if we have data)
+function averageOfSpendingMonths(totals) {
   const nonZeroTotals = totals.filter(t => t > 0);
   if (nonZeroTotals.length === 0) return 0;
-  
   const sum = nonZeroTotals.reduce((a, b) => a + b, 0);
   return Math.round(sum / nonZeroTotals.length);
 }
 
 /**
- * Get all category averages for display
+ * Get all category averages for display (3 months before this one)
+ * Returns { [categoryId]: { average, rollup } } - average counts the category's
+ * own transactions, rollup includes its subcategories
  */
 function getAllCategoryAverages(currentYear, currentMonth) {
-  const categories = getCategories();
+  const summaries = [];
+  for (let i = 1; i <= 3; i++) {
+    const [year, month] = addMonths(`${currentYear}-${String(currentMonth).padStart(2, '0')}`, -i).split('-').map(Number);
+    summaries.push(getMonthlySummary(year, month));
+  }
+
   const averages = {};
-  
-  for (const cat of categories) {
-    averages[cat.id] = getCategoryAverage(cat.id, currentYear, currentMonth, 3);
+  for (const catId of [...getCategories().map(c => c.id), 'uncategorized']) {
+    const own = summaries.map(summary => (summary.byCategory[catId] ? summary.byCategory[catId].expenses : 0));
+    const rolled = summaries.map(summary => (summary.byCategory[catId] ? summary.byCategory[catId].rollup.expenses : 0));
+    averages[catId] = { average: averageOfSpendingMonths(own), rollup: averageOfSpendingMonths(rolled) };
   }
   
-  // Also get uncategorized average
-  averages['uncategorized'] = getCategoryAverage('uncategorized', currentYear, currentMonth, 3);
-  
   return averages;
 }
 
@@ -609,128 +1086,1103 @@ function setSetting(key, value) {
 }
 
 /**
- * Get savings goal for a specific month (in agorot)
- * Falls back to default if no month-specific goal set
+ * Get the date of the last successful scrape of an account (YYYY-MM-DD or null)
  */
-function getSavingsGoal(year = null, month = null) {
-  if (year && month) {
-    const monthKey = `savings_goal_${year}_${month}`;
-    const monthValue = getSetting(monthKey, null);
-    if (monthValue !== null) {
-      return parseInt(monthValue) || 0;
-    }
-  }
-  // Fall back to default savings goal
-  const value = getSetting('savings_goal', '0');
-  return parseInt(value) || 0;
+function getLastScrapeDate(account) {
+  return getSetting(`last_scrape_${account}`, null);
 }
 
 /**
- * Set savings goal for a specific month (in agorot)
+ * Remember the date of a successful scrape of an account
  */
-function setSavingsGoal(amount, year = null, month = null) {
-  if (year && month) {
-    const monthKey = `savings_goal_${year}_${month}`;
-    setSetting(monthKey, String(amount));
-  } else {
-    setSetting('savings_goal', String(amount));
-  }
+function setLastScrapeDate(account, date) {
+  setSetting(`last_scrape_${account}`, date);
 }
 
+// ===========================================
+// SCRAPE RUNS
+// ===========================================
+
 /**
- * Get default savings goal (in agorot)
+ * Record the start of a scrape run, returns its ID
  */
-function getDefaultSavingsGoal() {
-  const value = getSetting('savings_goal', '0');
-  return parseInt(value) || 0;
+function startScrapeRun(account) {
+  const result = db.prepare(`
+    INSERT INTO scrape_runs (account, started_at) VALUES (?, datetime('now'))
+  `).run(account);
+  return result.lastInsertRowid;
 }
 
 /**
- * Get expected income (user override, in agorot)
+ * Record the outcome of a scrape run
  */
-function getExpectedIncome() {
-  const value = getSetting('expected_income', '0');
-  return parseInt(value) || 0;
+function finishScrapeRun(runId, { success, errorType = null, errorMessage = null, inserted = 0, updated = 0 }) {
+  db.prepare(`
+    UPDATE scrape_runs
+    SET finished_at = datetime('now'), success = ?, error_type = ?, error_message = ?,
+        inserted = ?, updated = ?
+    WHERE id = ?
+  `).run(success ? 1 : 0, errorType, errorMessage, inserted, updated, runId);
 }
 
 /**
- * Set expected income (in agorot)
+ * Get recent scrape runs (newest first), optionally for one account
+ */
+function getScrapeRuns(limit = 50, account = null) {
+  if (account) {
+    return db.prepare(`
+      SELECT * FROM scrape_runs WHERE account = ? ORDER BY id DESC LIMIT ?
+    `).all(account, limit);
+  }
+  return db.prepare('SELECT * FROM scrape_runs ORDER BY id DESC LIMIT ?').all(limit);
+}
+
+/**
+ * Get the latest run and last successful sync time of every account
+ */
+function getLatestScrapeRuns() {
+  return db.prepare(`
+    SELECT r.*,
+      (SELECT MAX(finished_at) FROM scrape_runs s
+       WHERE s.account = r.account AND s.success = 1) as last_success_at
+    FROM scrape_runs r
+    WHERE r.id = (SELECT MAX(id) FROM scrape_runs WHERE account = r.account)
+    ORDER BY r.account
+  `).all();
+}
+
+/**
+ * Take a named lock shared by all processes using the DB (server, CLI scrape)
+ * Returns false if someone else holds it and it hasn't expired yet
+ */
+function acquireLock(name, owner, ttlMinutes = 60) {
+  const result = db.prepare(`
+    INSERT INTO locks (name, owner, expires_at) VALUES (?, ?, datetime('now', ?))
+    ON CONFLICT(name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+    WHERE locks.expires_at < datetime('now') OR locks.owner = excluded.owner
+  `).run(name, owner, `+${ttlMinutes} minutes`);
+  return result.changes > 0;
+}
+
+/**
+ * Release a named lock (only if we hold it)
+ */
+function releaseLock(name, owner) {
+  db.prepare('DELETE FROM locks WHERE name = ? AND owner = ?').run(name, owner);
+}
+
+/**
+ * Get scheduled scrape settings
+ * schedule: cron expressions separated by ";" (empty = scheduler off)
+ */
+function getScheduleSettings() {
+  return {
+    schedule: getSetting('scrape_schedule', ''),
+    jitterMinutes: parseInt(getSetting('scrape_jitter_minutes', '10')) || 0,
+    maxRetries: parseInt(getSetting('scrape_max_retries', '3')) || 0,
+  };
+}
+
+/**
+ * Save scheduled scrape settings (only the given fields)
+ */
+function setScheduleSettings({ schedule, jitterMinutes, maxRetries }) {
+  if (schedule !== undefined) setSetting('scrape_schedule', schedule);
+  if (jitterMinutes !== undefined) setSetting('scrape_jitter_minutes', String(jitterMinutes));
+  if (maxRetries !== undefined) setSetting('scrape_max_retries', String(maxRetries));
+}
+
+/**
+ * Get category suggestion settings (auto-apply after scrapes is off by default)
+ */
+function getSuggestionSettings() {
+  return {
+    autoApply: getSetting('suggestions_auto_apply', '0') === '1',
+    minConfidence: parseFloat(getSetting('suggestions_min_confidence', '0.9')),
+  };
+}
+
+/**
+ * Save category suggestion settings (only the given fields)
+ */
+function setSuggestionSettings({ autoApply, minConfidence }) {
+  if (autoApply !== undefined) setSetting('suggestions_auto_apply', autoApply ? '1' : '0');
+  if (minConfidence !== undefined) setSetting('suggestions_min_confidence', String(minConfidence));
+}
+
+// ===========================================
+// CREDENTIALS
+// ===========================================
+
+/**
+ * Get the vault's key derivation parameters and passphrase check (null before first unlock)
+ */
+function getVaultConfig() {
+  const value = getSetting('vault', null);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Save the vault's key derivation parameters and passphrase check
+ */
+function setVaultConfig(config) {
+  setSetting('vault', JSON.stringify(config));
+}
+
+/**
+ * List stored credentials - login field names only, never the secrets
+ */
+function listCredentials() {
+  return db.prepare('SELECT account, fields, created_at, updated_at FROM credentials ORDER BY account')
+    .all()
+    .map(row => ({ ...row, fields: row.fields.split(',') }));
+}
+
+/**
+ * Get the encrypted secret of an account (or null)
+ */
+function getCredentialSecret(account) {
+  const row = db.prepare('SELECT secret FROM credentials WHERE account = ?').get(account);
+  return row ? row.secret : null;
+}
+
+/**
+ * Add or replace the encrypted credentials of an account
+ */
+function saveCredential(account, fields, secret) {
+  db.prepare(`
+    INSERT INTO credentials (account, fields, secret) VALUES (?, ?, ?)
+    ON CONFLICT(account) DO UPDATE SET
+      fields = excluded.fields,
+      secret = excluded.secret,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(account, fields.join(','), secret);
+}
+
+/**
+ * Delete the stored credentials of an account
+ */
+function deleteCredential(account) {
+  return db.prepare('DELETE FROM credentials WHERE account = ?').run(account).changes > 0;
+}
+
+/**
+ * Get savings goal for a specific month (in agorot)
+ * Falls back to default if no month-specific goal set
+ */
+function getSavingsGoal(year = null, month = null) {
+  if (year && month) {
+    const monthKey = `savings_goal_${year}_${month}`;
+    const monthValue = getSetting(monthKey, null);
+    if (monthValue !== null) {
+      return parseInt(monthValue) || 0;
+    }
+  }
+  // Fall back to default savings goal
+  const value = getSetting('savings_goal', '0');
+  return parseInt(value) || 0;
+}
+
+/**
+ * Set savings goal for a specific month (in agorot)
+ */
+function setSavingsGoal(amount, year = null, month = null) {
+  if (year && month) {
+    const monthKey = `savings_goal_${year}_${month}`;
+    setSetting(monthKey, String(amount));
+  } else {
+    setSetting('savings_goal', String(amount));
+  }
+}
+
+/**
+ * Get default savings goal (in agorot)
+ */
+function getDefaultSavingsGoal() {
+  const value = getSetting('savings_goal', '0');
+  return parseInt(value) || 0;
+}
+
+/**
+ * Get expected income (user override, in agorot)
+ */
+function getExpectedIncome() {
+  const value = getSetting('expected_income', '0');
+  return parseInt(value) || 0;
+}
+
+/**
+ * Set expected income (in agorot)
  */
 function setExpectedIncome(amount) {
   setSetting('expected_income', String(amount));
 }
 
 /**
- * Calculate average REGULAR income from last N months
- * Excludes occasional income (gifts, tax returns, etc.)
+ * Calculate average REGULAR income from last N months
+ * Excludes occasional income (gifts, tax returns, etc.)
+ */
+function getAverageRegularIncome(currentYear, currentMonth, numMonths = 3) {
+  const incomes = [];
+  
+  let year = currentYear;
+  let month = currentMonth;
+  
+  for (let i = 0; i < numMonths; i++) {
+    month--;
+    if (month < 1) {
+      month = 12;
+      year--;
+    }
+    
+    const summary = getMonthlySummary(year, month);
+    // Calculate regular income (exclude occasional)
+    let regularIncome = 0;
+    for (const txn of summary.transactions) {
+      if (txn.amount > 0 && !txn.is_occasional_income) {
+        regularIncome += txn.amount;
+      }
+    }
+    
+    if (regularIncome > 0) {
+      incomes.push(regularIncome);
+    }
+  }
+  
+  if (incomes.length === 0) return 0;
+  const sum = incomes.reduce((a, b) => a + b, 0);
+  return Math.round(sum / incomes.length);
+}
+
+/**
+ * Get actual occasional income for a specific month
+ */
+function getOccasionalIncomeForMonth(year, month) {
+  const summary = getMonthlySummary(year, month);
+  let occasionalIncome = 0;
+  
+  for (const txn of summary.transactions) {
+    if (txn.amount > 0 && txn.is_occasional_income) {
+      occasionalIncome += txn.amount;
+    }
+  }
+  
+  return occasionalIncome;
+}
+
+/**
+ * Get regular income for a specific month (excludes occasional)
+ */
+function getRegularIncomeForMonth(year, month) {
+  const summary = getMonthlySummary(year, month);
+  let regularIncome = 0;
+  
+  for (const txn of summary.transactions) {
+    if (txn.amount > 0 && !txn.is_occasional_income) {
+      regularIncome += txn.amount;
+    }
+  }
+  
+  return regularIncome;
+}
+
+// Keep old function for backwards compatibility
+function getAverageIncome(currentYear, currentMonth, numMonths = 3) {
+  return getAverageRegularIncome(currentYear, currentMonth, numMonths);
+}
+
+// ===========================================
+// MANUAL TRANSACTIONS
+// ===========================================
+
+// Cash, Bit and accounts no scraper supports - entered in the dashboard
+const MANUAL_SOURCE = 'manual';
+const MANUAL_ACCOUNT = 'Manual';
+
+// API field -> column of the fields a manual transaction can set
+const MANUAL_FIELDS = {
+  date: 'date',
+  amount: 'amount',
+  description: 'description',
+  memo: 'memo',
+  account: 'account',
+  categoryId: 'category_id',
+  isTransfer: 'is_transfer',
+  isInvestment: 'is_investment',
+  isOccasionalIncome: 'is_occasional_income',
+  comment: 'user_comment',
+};
+const MANUAL_FLAGS = ['isTransfer', 'isInvestment', 'isOccasionalIncome'];
+
+/**
+ * Turn API fields into column values (only the fields that were given)
+ */
+function manualColumns(fields) {
+  const columns = {};
+  for (const [field, column] of Object.entries(MANUAL_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    if (MANUAL_FLAGS.includes(field)) {
+      columns[column] = fields[field] ? 1 : 0;
+    } else if (field === 'account') {
+      columns[column] = fields[field] || MANUAL_ACCOUNT;
+    } else {
+      columns[column] = fields[field] === '' ? null : fields[field];
+    }
+  }
+  if (columns.amount !== undefined) {
+    columns.type = columns.amount > 0 ? 'income' : 'expense';
+  }
+  return columns;
+}
+
+/**
+ * Get a manual transaction (null if there's none with this ID)
+ */
+function getManualTransaction(id) {
+  return db.prepare('SELECT * FROM transactions WHERE id = ? AND source = ?').get(id, MANUAL_SOURCE) || null;
+}
+
+/**
+ * Add a manual transaction (amount in agorot, account defaults to "Manual")
+ */
+function createManualTransaction(fields) {
+  const id = `manual-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const columns = {
+    ...manualColumns({ ...fields, account: fields.account || MANUAL_ACCOUNT }),
+    id,
+    status: 'completed',
+    source: MANUAL_SOURCE,
+  };
+
+  const names = Object.keys(columns);
+  db.prepare(`
+    INSERT INTO transactions (${names.join(', ')}, scraped_at)
+    VALUES (${names.map(name => `@${name}`).join(', ')}, datetime('now'))
+  `).run(columns);
+
+  return getManualTransaction(id);
+}
+
+/**
+ * Edit a manual transaction (only the given fields change)
+ * Returns the updated row, or null if it isn't a manual transaction
+ */
+function updateManualTransaction(id, fields) {
+  if (!getManualTransaction(id)) return null;
+
+  const columns = manualColumns(fields);
+  const names = Object.keys(columns);
+  if (names.length > 0) {
+    db.prepare(`UPDATE transactions SET ${names.map(name => `${name} = @${name}`).join(', ')} WHERE id = @id`)
+      .run({ ...columns, id });
+  }
+
+  return getManualTransaction(id);
+}
+
+/**
+ * Delete a manual transaction (scraped ones can't be deleted)
+ */
+function deleteManualTransaction(id) {
+  return db.prepare('DELETE FROM transactions WHERE id = ? AND source = ?').run(id, MANUAL_SOURCE).changes > 0;
+}
+
+// ===========================================
+// TRANSACTION SPLITS
+// ===========================================
+
+// A transaction can be split into parts (amounts that sum to it), each with its own
+// category, comment and flags. Summaries, averages and the budget count the parts.
+
+/**
+ * Get a transaction's splits (empty if it isn't split)
+ */
+function getTransactionSplits(transactionId) {
+  return db.prepare('SELECT * FROM transaction_splits WHERE transaction_id = ? ORDER BY id').all(transactionId);
+}
+
+/**
+ * Replace a transaction's splits ([] removes the split)
+ * Each split: { amount (agorot), categoryId, comment, isInvestment, isOccasionalIncome }
+ */
+function setTransactionSplits(transactionId, splits) {
+  const insertStmt = db.prepare(`
+    INSERT INTO transaction_splits (transaction_id, amount, category_id, user_comment, is_investment, is_occasional_income)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const replace = db.transaction(() => {
+    db.prepare('DELETE FROM transaction_splits WHERE transaction_id = ?').run(transactionId);
+    for (const split of splits) {
+      insertStmt.run(
+        transactionId,
+        split.amount,
+        split.categoryId || null,
+        split.comment || null,
+        split.isInvestment ? 1 : 0,
+        split.isOccasionalIncome ? 1 : 0,
+      );
+    }
+  });
+  replace();
+
+  return getTransactionSplits(transactionId);
+}
+
+/**
+ * Replace split transactions with their parts. A part keeps the parent's fields
+ * (date, description...) with its own amount, category, comment and flags, plus
+ * split_id and split_of (the parent's ID). If the parent's amount changed since
+ * it was split (a pending charge that completed with a tip), the difference is
+ * a part of its own, in the parent's category.
+ */
+function expandSplits(transactions) {
+  const splitsByTransaction = {};
+  for (const split of db.prepare('SELECT * FROM transaction_splits ORDER BY id').all()) {
+    (splitsByTransaction[split.transaction_id] = splitsByTransaction[split.transaction_id] || []).push(split);
+  }
+
+  return transactions.flatMap(txn => {
+    const splits = splitsByTransaction[txn.id];
+    // Transfers stay whole - they're out of the balance either way
+    if (!splits || txn.is_transfer) return [txn];
+
+    const parts = splits.map(split => ({
+      ...txn,
+      amount: split.amount,
+      type: split.amount > 0 ? 'income' : 'expense',
+      category_id: split.category_id,
+      user_comment: split.user_comment,
+      is_investment: split.is_investment,
+      is_occasional_income: split.is_occasional_income,
+      split_id: split.id,
+      split_of: txn.id,
+      split_total: txn.amount,
+    }));
+
+    const remainder = txn.amount - splits.reduce((sum, split) => sum + split.amount, 0);
+    if (remainder !== 0) {
+      parts.push({ ...txn, amount: remainder, split_id: null, split_of: txn.id, split_total: txn.amount });
+    }
+    return parts;
+  });
+}
+
+// ===========================================
+// TAGS
+// ===========================================
+
+// Free-form labels across categories ("חופשה באילת 2025", "reimbursable by work").
+// A transaction can have any number of tags; unused tags are dropped.
+
+/**
+ * Get all tags with how many transactions have each
+ */
+function getTags() {
+  return db.prepare(`
+    SELECT t.name, COUNT(tt.transaction_id) as count
+    FROM tags t
+    LEFT JOIN transaction_tags tt ON tt.tag = t.name
+    GROUP BY t.name
+    ORDER BY t.name
+  `).all();
+}
+
+/**
+ * Add each transaction's tags as `tags` (a list of names)
+ */
+function withTags(transactions) {
+  const tagsByTransaction = {};
+  for (const row of db.prepare('SELECT transaction_id, tag FROM transaction_tags ORDER BY tag').all()) {
+    (tagsByTransaction[row.transaction_id] = tagsByTransaction[row.transaction_id] || []).push(row.tag);
+  }
+  return transactions.map(txn => ({ ...txn, tags: tagsByTransaction[txn.id] || [] }));
+}
+
+/**
+ * Add and remove tags on any number of transactions, in one DB transaction
+ * Returns { added, removed } - how many links changed
+ */
+function updateTransactionTags(transactionIds, { add = [], remove = [] }) {
+  const insertTagStmt = db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+  const linkStmt = db.prepare(`
+    INSERT OR IGNORE INTO transaction_tags (transaction_id, tag)
+    SELECT id, ? FROM transactions WHERE id = ?
+  `);
+  const unlinkStmt = db.prepare('DELETE FROM transaction_tags WHERE transaction_id = ? AND tag = ?');
+
+  const update = db.transaction(() => {
+    let added = 0;
+    let removed = 0;
+    for (const tag of add) {
+      insertTagStmt.run(tag);
+      for (const id of transactionIds) {
+        added += linkStmt.run(tag, id).changes;
+      }
+    }
+    for (const tag of remove) {
+      for (const id of transactionIds) {
+        removed += unlinkStmt.run(id, tag).changes;
+      }
+    }
+    db.prepare('DELETE FROM tags WHERE name NOT IN (SELECT tag FROM transaction_tags)').run();
+    return { added, removed };
+  });
+  return update();
+}
+
+/**
+ * Remove a tag from every transaction
+ */
+function deleteTag(name) {
+  return db.prepare('DELETE FROM tags WHERE name = ?').run(name).changes > 0;
+}
+
+/**
+ * Totals of a tag's transactions, optionally between two dates (YYYY-MM-DD)
+ * Counted like the monthly summary: transfers left out, investments apart,
+ * split transactions as their parts
+ */
+function getTagSummary(tag, { from = null, to = null } = {}) {
+  const transactions = withTags(db.prepare(`
+    SELECT t.* FROM transactions t
+    JOIN transaction_tags tt ON tt.transaction_id = t.id
+    WHERE tt.tag = ? AND (? IS NULL OR t.date >= ?) AND (? IS NULL OR t.date <= ?)
+    ORDER BY t.date DESC
+  `).all(tag, from, from, to, to));
+
+  let income = 0;
+  let expenses = 0;
+  let investmentTotal = 0;
+  const byCategory = {};
+
+  for (const txn of expandSplits(transactions)) {
+    if (txn.is_transfer) continue;
+    if (txn.is_investment) {
+      investmentTotal += Math.abs(txn.amount);
+      continue;
+    }
+
+    const catId = txn.category_id || 'uncategorized';
+    if (!byCategory[catId]) {
+      byCategory[catId] = { income: 0, expenses: 0, transactionCount: 0 };
+    }
+    byCategory[catId].transactionCount++;
+    if (txn.amount > 0) {
+      income += txn.amount;
+      byCategory[catId].income += txn.amount;
+    } else {
+      expenses += Math.abs(txn.amount);
+      byCategory[catId].expenses += Math.abs(txn.amount);
+    }
+  }
+
+  return {
+    tag,
+    from,
+    to,
+    firstDate: transactions.length > 0 ? transactions[transactions.length - 1].date : null,
+    lastDate: transactions.length > 0 ? transactions[0].date : null,
+    income,
+    expenses,
+    balance: income - expenses,
+    investmentTotal,
+    transactionCount: transactions.filter(txn => !txn.is_transfer).length,
+    byCategory,
+    transactions,
+  };
+}
+
+// ===========================================
+// EXPORT
+// ===========================================
+
+/**
+ * Get transactions to export, with their category name (oldest first)
+ * Split transactions come as one row per part (same id, split_of set), so
+ * totals per category match the dashboard.
+ * filters: { from, to } dates (YYYY-MM-DD) and/or { fromMonth, toMonth } Israeli
+ * months (YYYY-MM), accounts: [names], categories: [ids, 'none' = uncategorized]
+ */
+function getExportTransactions(filters = {}) {
+  let transactions;
+
+  if (filters.fromMonth || filters.toMonth) {
+    const fromMonth = filters.fromMonth || filters.toMonth;
+    const toMonth = filters.toMonth || filters.fromMonth;
+    transactions = [];
+    for (let monthKey = fromMonth; monthKey <= toMonth; monthKey = addMonths(monthKey, 1)) {
+      const [year, month] = monthKey.split('-').map(Number);
+      transactions.push(...getTransactionsByIsraeliMonth(year, month));
+    }
+  } else {
+    transactions = db.prepare('SELECT * FROM transactions').all();
+  }
+
+  const categoryNames = Object.fromEntries(getCategories().map(c => [c.id, c.name]));
+
+  const selected = transactions
+    .filter(txn => !filters.from || txn.date >= filters.from)
+    .filter(txn => !filters.to || txn.date <= filters.to)
+    .filter(txn => !filters.accounts || filters.accounts.includes(txn.account));
+
+  return expandSplits(selected)
+    .filter(txn => !filters.categories || filters.categories.includes(txn.category_id || 'none'))
+    .map(txn => ({ ...txn, category_name: categoryNames[txn.category_id] || null }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+}
+
+// ===========================================
+// BACKUP / RESTORE
+// ===========================================
+
+// Tables in a backup, in restore order (categories before the rows using them)
+// key: columns that identify a row across databases
+// autoId: the id is AUTOINCREMENT and is left to the target DB
+// replaceGroup: instead of a key - rows are restored together by this column
+// (a transaction's split parts only make sense together)
+const BACKUP_TABLES = [
+  { name: 'categories', key: ['id'] },
+  { name: 'category_rules', key: ['match_type', 'description_pattern', 'account', 'amount_min', 'amount_max', 'direction'], autoId: true },
+  { name: 'settings', key: ['key'] },
+  { name: 'transactions', key: ['id'] },
+  { name: 'transaction_splits', autoId: true, replaceGroup: 'transaction_id' },
+  { name: 'tags', key: ['name'] },
+  { name: 'transaction_tags', key: ['transaction_id', 'tag'] },
+  { name: 'import_presets', key: ['name'] },
+  { name: 'account_balances', key: ['account', 'account_number', 'scraped_at'], autoId: true },
+];
+
+// The vault check/salt only fits the credentials, which are never backed up
+const BACKUP_EXCLUDED_SETTINGS = ['vault'];
+
+/**
+ * Get the rows of a backed-up table (minus excluded settings)
+ */
+function getBackupRows(table) {
+  const rows = db.prepare(`SELECT * FROM ${table.name}`).all();
+  return table.name === 'settings'
+    ? rows.filter(row => !BACKUP_EXCLUDED_SETTINGS.includes(row.key))
+    : rows;
+}
+
+/**
+ * Get all user data for a backup: { tableName: [rows] }
+ */
+function getBackupTables() {
+  return Object.fromEntries(BACKUP_TABLES.map(table => [table.name, getBackupRows(table)]));
+}
+
+/**
+ * Plan the restore of a replaceGroup table: groups equal to the backup's are unchanged,
+ * any other backup group replaces all of this DB's rows of that group
+ */
+function planGroupRestore(plan, tableColumns, currentRows, backupRows, mode) {
+  const { replaceGroup } = plan.table;
+  const byGroup = rows => rows.reduce((groups, row) => {
+    const group = groups.get(row[replaceGroup]) || [];
+    group.push(row);
+    return groups.set(row[replaceGroup], group);
+  }, new Map());
+  const current = byGroup(currentRows);
+  const backup = byGroup(backupRows);
+
+  for (const [group, rows] of backup) {
+    // Columns this DB doesn't have (or the backup doesn't) are skipped
+    const columns = tableColumns.filter(column => column in rows[0]);
+    const contents = groupRows => groupRows
+      .map(row => JSON.stringify(columns.map(column => row[column] ?? null)))
+      .sort()
+      .join('\n');
+    const existing = current.get(group) || [];
+
+    if (contents(existing) === contents(rows)) {
+      plan.unchanged += rows.length;
+    } else {
+      plan.removed.push(...existing);
+      plan.added.push(...rows.map(row => ({ row, columns })));
+    }
+  }
+  if (mode === 'replace') {
+    for (const [group, rows] of current) {
+      if (!backup.has(group)) plan.removed.push(...rows);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Restore backup tables into this DB, or only compare them when apply is false
+ * mode 'merge': add missing rows and overwrite rows that differ (the backup wins)
+ * mode 'replace': also remove rows that aren't in the backup
+ * Tables with a replaceGroup have no row key (two equal split parts are two rows), so they
+ * are restored a group at a time - a group that differs is swapped for the backup's rows
+ * Backup categories whose name already exists under another ID are matched to
+ * the existing category. Tables missing from the backup are left alone.
+ * Returns { tables: { name: { added, changed, removed, unchanged } }, matchedCategories }
+ */
+function restoreBackupTables(backupTables, { mode = 'merge', apply = false } = {}) {
+  const tables = BACKUP_TABLES.filter(table => Array.isArray(backupTables[table.name]));
+  const rowsByTable = Object.fromEntries(tables.map(table => [table.name, backupTables[table.name]]));
+
+  // Match categories by name, and point the backup's rows at the matched IDs
+  let matchedCategories = 0;
+  if (mode === 'merge' && rowsByTable.categories) {
+    const existingIds = Object.fromEntries(getCategories().map(c => [c.name, c.id]));
+    const idMap = {};
+    for (const category of rowsByTable.categories) {
+      const existingId = existingIds[category.name];
+      if (existingId && existingId !== category.id) {
+        idMap[category.id] = existingId;
+        matchedCategories++;
+      }
+    }
+    const remap = row => (idMap[row.category_id] ? { ...row, category_id: idMap[row.category_id] } : row);
+    rowsByTable.categories = rowsByTable.categories.map(c => ({
+      ...c,
+      id: idMap[c.id] || c.id,
+      ...(idMap[c.parent_id] && { parent_id: idMap[c.parent_id] }),
+    }));
+    for (const name of ['category_rules', 'transactions', 'transaction_splits']) {
+      if (rowsByTable[name]) rowsByTable[name] = rowsByTable[name].map(remap);
+    }
+  }
+
+  const plans = tables.map(table => {
+    const tableColumns = db.prepare(`PRAGMA table_info(${table.name})`).all()
+      .map(column => column.name)
+      .filter(name => !(table.autoId && name === 'id'));
+    const plan = { table, added: [], changed: [], removed: [], unchanged: 0 };
+    if (table.replaceGroup) {
+      return planGroupRestore(plan, tableColumns, getBackupRows(table), rowsByTable[table.name], mode);
+    }
+
+    const rowKey = row => JSON.stringify(table.key.map(column => row[column] ?? null));
+    const current = new Map(getBackupRows(table).map(row => [rowKey(row), row]));
+    const seen = new Set();
+    for (const row of rowsByTable[table.name]) {
+      const key = rowKey(row);
+      // Columns this DB doesn't have (or the backup doesn't) are skipped
+      const columns = tableColumns.filter(column => column in row);
+      seen.add(key);
+
+      const existing = current.get(key);
+      if (!existing) {
+        plan.added.push({ row, columns });
+      } else if (columns.some(column => existing[column] !== row[column])) {
+        plan.changed.push({ row, columns });
+      } else {
+        plan.unchanged++;
+      }
+    }
+    if (mode === 'replace') {
+      plan.removed = [...current.entries()].filter(([key]) => !seen.has(key)).map(([, row]) => row);
+    }
+    return plan;
+  });
+
+  if (apply) {
+    db.transaction(() => {
+      // Rules may point at categories changed later in the same restore -
+      // check foreign keys once everything is written
+      db.exec('PRAGMA defer_foreign_keys = ON');
+      for (const { table, removed } of plans) {
+        if (table.replaceGroup) {
+          const stmt = db.prepare(`DELETE FROM ${table.name} WHERE ${table.replaceGroup} = ?`);
+          new Set(removed.map(row => row[table.replaceGroup])).forEach(group => stmt.run(group));
+          continue;
+        }
+        const where = table.key.map(column => `${column} IS ?`).join(' AND ');
+        const stmt = db.prepare(`DELETE FROM ${table.name} WHERE ${where}`);
+        removed.forEach(row => stmt.run(...table.key.map(column => row[column] ?? null)));
+      }
+      for (const { table, added, changed } of plans) {
+        for (const { row, columns } of added) {
+          db.prepare(`INSERT INTO ${table.name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+            .run(...columns.map(column => row[column]));
+        }
+        for (const { row, columns } of changed) {
+          const set = columns.map(column => `${column} = ?`).join(', ');
+          const where = table.key.map(column => `${column} IS ?`).join(' AND ');
+          db.prepare(`UPDATE ${table.name} SET ${set} WHERE ${where}`)
+            .run(...columns.map(column => row[column]), ...table.key.map(column => row[column] ?? null));
+        }
+      }
+    })();
+  }
+
+  return {
+    tables: Object.fromEntries(plans.map(plan => [plan.table.name, {
+      added: plan.added.length,
+      changed: plan.changed.length,
+      removed: plan.removed.length,
+      unchanged: plan.unchanged,
+    }])),
+    matchedCategories,
+  };
+}
+
+// ===========================================
+// IMPORT PRESETS
+// ===========================================
+
+/**
+ * Get all saved import mappings
  */
-function getAverageRegularIncome(currentYear, currentMonth, numMonths = 3) {
-  const incomes = [];
-  
-  let year = currentYear;
-  let month = currentMonth;
-  
-  for (let i = 0; i < numMonths; i++) {
-    month--;
-    if (month < 1) {
-      month = 12;
-      year--;
-    }
-    
-    const summary = getMonthlySummary(year, month);
-    // Calculate regular income (exclude occasional)
-    let regularIncome = 0;
-    for (const txn of summary.transactions) {
-      if (txn.amount > 0 && !txn.is_occasional_income) {
-        regularIncome += txn.amount;
-      }
+function getImportPresets() {
+  return db.prepare('SELECT * FROM import_presets ORDER BY bank, name')
+    .all()
+    .map(row => ({ ...row, mapping: JSON.parse(row.mapping) }));
+}
+
+/**
+ * Save an import mapping under a name (replaces a preset with the same name)
+ */
+function saveImportPreset(name, bank, mapping) {
+  db.prepare(`
+    INSERT INTO import_presets (name, bank, mapping) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      bank = excluded.bank,
+      mapping = excluded.mapping,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(name, bank || null, JSON.stringify(mapping));
+}
+
+/**
+ * Delete an import mapping
+ */
+function deleteImportPreset(name) {
+  return db.prepare('DELETE FROM import_presets WHERE name = ?').run(name).changes > 0;
+}
+
+// ===========================================
+// ACCOUNT BALANCES
+// ===========================================
+
+/**
+ * Save the balance (in agorot) a scrape reported for one bank account
+ */
+function saveBalanceSnapshot(account, accountNumber, balance) {
+  db.prepare(`
+    INSERT INTO account_balances (account, account_number, balance, scraped_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).run(account, String(accountNumber), balance);
+}
+
+/**
+ * Get the latest balance of every bank account
+ */
+function getLatestBalances() {
+  return db.prepare(`
+    SELECT b.* FROM account_balances b
+    WHERE b.id = (
+      SELECT MAX(id) FROM account_balances
+      WHERE account = b.account AND account_number = b.account_number
+    )
+    ORDER BY b.account, b.account_number
+  `).all();
+}
+
+/**
+ * Get total liquid balance over time: one point per day with a snapshot,
+ * summing the latest known balance of every account on that day
+ */
+function getBalanceHistory() {
+  const snapshots = db.prepare('SELECT * FROM account_balances ORDER BY scraped_at, id').all();
+
+  const latest = {};
+  const byDay = {};
+  for (const snap of snapshots) {
+    latest[`${snap.account}|${snap.account_number}`] = snap.balance;
+    const day = snap.scraped_at.substring(0, 10);
+    byDay[day] = Object.values(latest).reduce((sum, b) => sum + b, 0);
+  }
+
+  return Object.entries(byDay).map(([date, total]) => ({ date, total }));
+}
+
+/**
+ * Get the change in total bank balance per calendar month (last snapshot of
+ * the month vs last snapshot before it), to cross-check the computed balance
+ */
+function getMonthlyBalanceChanges() {
+  const endOfMonth = {};
+  for (const point of getBalanceHistory()) {
+    endOfMonth[point.date.substring(0, 7)] = point.total;
+  }
+
+  const months = Object.keys(endOfMonth).sort();
+  return months.slice(1).map((month, i) => ({
+    month,
+    endBalance: endOfMonth[month],
+    change: endOfMonth[month] - endOfMonth[months[i]],
+  }));
+}
+
+// ===========================================
+// FOREIGN CURRENCY
+// ===========================================
+
+// Card fees for foreign-currency purchases (charged as separate lines)
+const FX_FEE_PATTERNS = [
+  'עמלת המרה',
+  'עמלת מט"ח',
+  'עמלת עסקת מט"ח',
+  'עמלת עסקה במט"ח',
+  'דמי המרה',
+  'עמלה בגין עסקת חו"ל',
+];
+
+/**
+ * Check if a transaction is a foreign-currency fee
+ */
+function isFxFee(description) {
+  if (!description) return false;
+  return FX_FEE_PATTERNS.some(p => description.includes(p));
+}
+
+/**
+ * Foreign spending per calendar month of a year: totals per currency
+ * (original and charged amounts) and FX fees paid
+ */
+function getForeignSpendingReport(year) {
+  const rows = db.prepare(`
+    SELECT * FROM transactions
+    WHERE date >= ? AND date <= ? AND is_transfer = 0
+      AND ((original_currency IS NOT NULL AND original_currency != 'ILS') OR description LIKE '%עמל%'
+           OR description LIKE '%דמי המרה%')
+  `).all(`${year}-01-01`, `${year}-12-31`);
+
+  const months = {};
+  const getMonth = (date) => {
+    const key = date.substring(0, 7);
+    if (!months[key]) months[key] = { month: key, byCurrency: {}, fxFees: 0, chargedTotal: 0 };
+    return months[key];
+  };
+
+  for (const txn of rows) {
+    if (isFxFee(txn.description)) {
+      getMonth(txn.date).fxFees += Math.abs(txn.amount);
+      continue;
     }
-    
-    if (regularIncome > 0) {
-      incomes.push(regularIncome);
+    if (!txn.original_currency || txn.original_currency === 'ILS') continue;
+
+    const month = getMonth(txn.date);
+    if (!month.byCurrency[txn.original_currency]) {
+      month.byCurrency[txn.original_currency] = { count: 0, originalTotal: 0, chargedTotal: 0 };
     }
+    const currency = month.byCurrency[txn.original_currency];
+    currency.count++;
+    // An installment row carries the whole purchase's original amount - count only this payment's share
+    currency.originalTotal -= txn.installment_total > 1
+      ? Math.round(txn.original_amount / txn.installment_total)
+      : txn.original_amount;
+    currency.chargedTotal -= txn.amount;
+    month.chargedTotal -= txn.amount;
   }
-  
-  if (incomes.length === 0) return 0;
-  const sum = incomes.reduce((a, b) => a + b, 0);
-  return Math.round(sum / incomes.length);
+
+  return Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
 }
 
+// ===========================================
+// INSTALLMENTS
+// ===========================================
+
 /**
- * Get actual occasional income for a specific month
+ * Get all installment plans: the known installments of each purchase grouped
+ * together, plus what is still left to pay
  */
-function getOccasionalIncomeForMonth(year, month) {
-  const summary = getMonthlySummary(year, month);
-  let occasionalIncome = 0;
-  
-  for (const txn of summary.transactions) {
-    if (txn.amount > 0 && txn.is_occasional_income) {
-      occasionalIncome += txn.amount;
+function getInstallmentPlans() {
+  const rows = db.prepare(`
+    SELECT * FROM transactions
+    WHERE installment_group IS NOT NULL
+    ORDER BY installment_group, installment_number
+  `).all();
+
+  const plans = {};
+  for (const txn of rows) {
+    if (!plans[txn.installment_group]) {
+      plans[txn.installment_group] = {
+        group: txn.installment_group,
+        account: txn.account,
+        description: txn.description,
+        categoryId: txn.category_id,
+        total: txn.installment_total,
+        transactions: [],
+      };
     }
+    plans[txn.installment_group].transactions.push(txn);
   }
-  
-  return occasionalIncome;
+
+  return Object.values(plans).map(plan => {
+    // The latest known installment tells how many are left and their size
+    const last = plan.transactions[plan.transactions.length - 1];
+    const remaining = Math.max(0, plan.total - last.installment_number);
+    return {
+      ...plan,
+      paid: last.installment_number,
+      installmentAmount: last.amount,
+      lastChargeDate: last.processed_date || last.date,
+      lastChargeMonth: (last.processed_date || last.date).substring(0, 7),
+      remaining,
+      remainingAmount: Math.abs(last.amount) * remaining,
+    };
+  });
 }
 
 /**
- * Get regular income for a specific month (excludes occasional)
+ * Get remaining installment charges per upcoming month (from the current month on)
+ * Returns [{ month: 'YYYY-MM', total, items: [...] }] sorted by month
  */
-function getRegularIncomeForMonth(year, month) {
-  const summary = getMonthlySummary(year, month);
-  let regularIncome = 0;
-  
-  for (const txn of summary.transactions) {
-    if (txn.amount > 0 && !txn.is_occasional_income) {
-      regularIncome += txn.amount;
+function getUpcomingInstallments() {
+  const now = new Date();
+  const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const byMonth = {};
+
+  for (const plan of getInstallmentPlans()) {
+    for (let i = 1; i <= plan.remaining; i++) {
+      const month = addMonths(plan.lastChargeMonth, i);
+      if (month < currentMonth) continue;
+
+      if (!byMonth[month]) byMonth[month] = { month, total: 0, items: [] };
+      byMonth[month].total += Math.abs(plan.installmentAmount);
+      byMonth[month].items.push({
+        group: plan.group,
+        account: plan.account,
+        description: plan.description,
+        categoryId: plan.categoryId,
+        number: plan.paid + i,
+        total: plan.total,
+        amount: Math.abs(plan.installmentAmount),
+      });
     }
   }
-  
-  return regularIncome;
+
+  return Object.values(byMonth).sort((a, b) => a.month.localeCompare(b.month));
 }
 
-// Keep old function for backwards compatibility
-function getAverageIncome(currentYear, currentMonth, numMonths = 3) {
-  return getAverageRegularIncome(currentYear, currentMonth, numMonths);
+/**
+ * Get installment charges still to come in an Israeli month (not scraped yet),
+ * per category: { [categoryId or 'uncategorized']: agorot }
+ * A charge on the 1st-3rd (the card bill) belongs to the month before.
+ */
+function getInstallmentObligationsForMonth(year, month) {
+  const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+  const byCategory = {};
+
+  for (const plan of getInstallmentPlans()) {
+    const chargeDay = parseInt(plan.lastChargeDate.substring(8, 10));
+    for (let i = 1; i <= plan.remaining; i++) {
+      const chargeMonth = addMonths(plan.lastChargeMonth, i);
+      const israeliMonth = chargeDay <= BILL_CUTOFF_DAY ? addMonths(chargeMonth, -1) : chargeMonth;
+      if (israeliMonth !== monthKey) continue;
+
+      const catId = plan.categoryId || 'uncategorized';
+      byCategory[catId] = (byCategory[catId] || 0) + Math.abs(plan.installmentAmount);
+    }
+  }
+
+  return byCategory;
 }
 
 /**
@@ -744,7 +2196,8 @@ function getAverageIncome(currentYear, currentMonth, numMonths = 3) {
  * - Regular income = salary (excluding gifts, tax returns, etc.)
  * - Occasional income = gifts, tax returns, etc. (only included if already received this month)
  * - Fixed Expenses for each category (except הוצאות משתנות):
- *   Use MAX(actual spending this month, 3-month average)
+ *   Use MAX(actual spending this month + installments due this month that haven't
+ *   arrived yet, 3-month average) - the average already holds earlier installments
  */
 function calculateAvailableBudget(year, month) {
   const summary = getMonthlySummary(year, month);
@@ -773,19 +2226,26 @@ function calculateAvailableBudget(year, month) {
   const variableCategory = getCategories().find(c => c.name === 'הוצאות משתנות');
   const variableCategoryId = variableCategory ? variableCategory.id : null;
   
+  // Installments of past purchases that will still be charged this month
+  const obligations = getInstallmentObligationsForMonth(year, month);
+  const installmentObligations = Object.values(obligations).reduce((sum, amount) => sum + amount, 0);
+  
   // Calculate fixed expenses (all categories except variable expenses)
   let fixedExpenses = 0;
   let variableActual = 0;
   
-  for (const [catId, data] of Object.entries(summary.byCategory)) {
+  for (const catId of new Set([...Object.keys(summary.byCategory), ...Object.keys(obligations)])) {
+    const data = summary.byCategory[catId];
     if (catId === variableCategoryId) {
-      // Track variable expenses separately
-      variableActual = data.expenses;
+      // Track variable expenses separately (their installments are already committed)
+      variableActual = data ? data.expenses : 0;
+      fixedExpenses += obligations[catId] || 0;
       continue;
     }
     
-    const actual = data.expenses;
-    const average = averages[catId] || 0;
+    // Leaf totals only - a parent's rollup would count its subcategories twice
+    const actual = (data ? data.expenses : 0) + (obligations[catId] || 0);
+    const average = averages[catId] ? averages[catId].average : 0;
     
     // Use the higher of actual or average (be conservative)
     fixedExpenses += Math.max(actual, average);
@@ -806,6 +2266,7 @@ function calculateAvailableBudget(year, month) {
     averageIncome: averageRegularIncome,
     savingsGoal,
     fixedExpenses,
+    installmentObligations,
     availableForVariable,
     variableActual,
     remainingForVariable,
@@ -846,36 +2307,358 @@ function excludeAllInMonth(year, month) {
   return count;
 }
 
+// ===========================================
+// CATEGORY RULES
+// ===========================================
+
+// How a rule's description_pattern is compared with a transaction's description
+// (all but equals ignore case)
+const RULE_MATCH_TYPES = ['equals', 'starts-with', 'contains', 'regex'];
+
+/**
+ * One-time rebuild of category_rules without the UNIQUE description_pattern
+ */
+function migrateCategoryRules() {
+  const table = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'category_rules'`).get();
+  if (!table.sql.includes('UNIQUE')) return;
+
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE category_rules_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        description_pattern TEXT NOT NULL,
+        category_id TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        match_type TEXT NOT NULL DEFAULT 'equals',
+        amount_min INTEGER,
+        amount_max INTEGER,
+        account TEXT,
+        direction TEXT,
+        is_auto INTEGER DEFAULT 0,
+        FOREIGN KEY (category_id) REFERENCES categories(id)
+      );
+      INSERT INTO category_rules_new (id, description_pattern, category_id, created_at, match_type, is_auto)
+        SELECT id, description_pattern, category_id, created_at, 'equals', 1 FROM category_rules;
+      DROP TABLE category_rules;
+      ALTER TABLE category_rules_new RENAME TO category_rules;
+    `);
+  })();
+}
+
+/**
+ * Check if a rule matches a transaction
+ * Optional conditions: amount_min / amount_max (agorot, compared with the
+ * absolute amount), account, and direction ('income' or 'expense')
+ */
+function ruleMatches(rule, txn) {
+  const description = (txn.description || '').trim();
+  const pattern = rule.description_pattern;
+
+  let textMatches;
+  switch (rule.match_type) {
+    case 'starts-with':
+      textMatches = description.toLowerCase().startsWith(pattern.toLowerCase());
+      break;
+    case 'contains':
+      textMatches = description.toLowerCase().includes(pattern.toLowerCase());
+      break;
+    case 'regex':
+      try {
+        textMatches = new RegExp(pattern, 'i').test(description);
+      } catch (e) {
+        textMatches = false; // invalid patterns never match
+      }
+      break;
+    default:
+      textMatches = description === pattern.trim();
+  }
+  if (!textMatches) return false;
+
+  const amount = Math.abs(txn.amount);
+  if (rule.amount_min != null && amount < rule.amount_min) return false;
+  if (rule.amount_max != null && amount > rule.amount_max) return false;
+  if (rule.account && rule.account !== txn.account) return false;
+  if (rule.direction === 'income' && txn.amount <= 0) return false;
+  if (rule.direction === 'expense' && txn.amount >= 0) return false;
+  return true;
+}
+
+/**
+ * Order of rules when several match: higher priority first, then the most
+ * specific - exact matches before prefixes before contains before regex, then
+ * rules with more conditions, then longer patterns
+ */
+function compareRules(a, b) {
+  const conditions = rule => [rule.amount_min, rule.amount_max, rule.account, rule.direction]
+    .filter(value => value != null && value !== '').length;
+
+  return (b.priority || 0) - (a.priority || 0) ||
+    RULE_MATCH_TYPES.indexOf(a.match_type) - RULE_MATCH_TYPES.indexOf(b.match_type) ||
+    conditions(b) - conditions(a) ||
+    b.description_pattern.length - a.description_pattern.length ||
+    a.id - b.id;
+}
+
+/**
+ * Get all rules in the order they're tried
+ */
+function getOrderedRules() {
+  return db.prepare('SELECT * FROM category_rules').all().sort(compareRules);
+}
+
+/**
+ * Find the rule that categorizes a transaction (null if none matches)
+ */
+function findMatchingRule(rules, txn) {
+  return rules.find(rule => ruleMatches(rule, txn)) || null;
+}
+
+// A learned starts-with prefix needs this many words or characters - a short
+// one ("ביט" of "ביט 0501234567") would also catch "ביטוח..." and every Bit payment
+const AUTO_RULE_MIN_WORDS = 2;
+const AUTO_RULE_MIN_LENGTH = 5;
+
+/**
+ * The rule learned when the user categorizes a transaction by hand
+ * Branch numbers and terminal IDs at the end ("שופרסל דיל 123") are dropped,
+ * so one starts-with rule covers every branch of the merchant. The number must
+ * be a separate word and the merchant long enough, otherwise it's an equals rule.
+ */
+function autoRuleFor(description) {
+  const trimmed = description.trim();
+  const merchant = trimmed.replace(/[\s\-_#*/]+\d[\d\s\-_#*/]*$/, '').trim();
+  const longEnough = merchant.split(/\s+/).length >= AUTO_RULE_MIN_WORDS || merchant.length >= AUTO_RULE_MIN_LENGTH;
+  if (merchant && merchant !== trimmed && longEnough) {
+    return { matchType: 'starts-with', pattern: merchant };
+  }
+  return { matchType: 'equals', pattern: trimmed };
+}
+
+/**
+ * Delete the automatic rules matching a transaction (optionally only some of them)
+ */
+function deleteAutoRulesMatching(txn, filter = () => true) {
+  const stmt = db.prepare('DELETE FROM category_rules WHERE id = ?');
+  db.prepare('SELECT * FROM category_rules WHERE is_auto = 1').all()
+    .filter(rule => ruleMatches(rule, txn) && filter(rule))
+    .forEach(rule => stmt.run(rule.id));
+}
+
+/**
+ * Categorize the uncategorized transactions a rule matches
+ * (ones a rule ahead of it sends elsewhere are left for that rule)
+ * With overwrite, transactions that already have another category are moved too
+ */
+function applyRule(rule, { overwrite = false } = {}) {
+  const stmt = db.prepare('UPDATE transactions SET category_id = ? WHERE id = ?');
+  let applied = 0;
+
+  for (const match of getRuleMatches(rule, getOrderedRules())) {
+    if (match.effect === 'categorize' || (overwrite && match.effect === 'recategorize')) {
+      stmt.run(rule.category_id, match.id);
+      applied++;
+    }
+  }
+  return applied;
+}
+
+/**
+ * Get transactions without a category
+ */
+function getUncategorizedTransactions() {
+  return db.prepare(`
+    SELECT id, description, memo, amount, account, is_transfer FROM transactions
+    WHERE category_id IS NULL OR category_id = ''
+  `).all();
+}
+
+/**
+ * Get the transactions a rule matches and what the rule would do to each
+ * effect: 'categorize' (uncategorized), 'recategorize' (has another category),
+ * 'unchanged' (already in the rule's category) or 'shadowed' (a rule ahead wins)
+ */
+function getRuleMatches(rule, orderedRules) {
+  return db.prepare('SELECT id, date, description, amount, account, category_id FROM transactions ORDER BY date DESC')
+    .all()
+    .filter(txn => ruleMatches(rule, txn))
+    .map(txn => {
+      const winner = findMatchingRule(orderedRules, txn);
+      let effect;
+      if (winner && winner.id !== rule.id) {
+        effect = 'shadowed';
+      } else if (!txn.category_id) {
+        effect = 'categorize';
+      } else {
+        effect = txn.category_id === rule.category_id ? 'unchanged' : 'recategorize';
+      }
+      return { ...txn, effect, shadowedBy: effect === 'shadowed' ? winner.id : null };
+    });
+}
+
+// API field -> column of the fields a rule can set
+const RULE_FIELDS = {
+  pattern: 'description_pattern',
+  matchType: 'match_type',
+  categoryId: 'category_id',
+  amountMin: 'amount_min',
+  amountMax: 'amount_max',
+  account: 'account',
+  direction: 'direction',
+  priority: 'priority',
+};
+
+/**
+ * Turn API fields into column values (only the fields that were given)
+ */
+function ruleColumns(fields) {
+  const columns = {};
+  for (const [field, column] of Object.entries(RULE_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    columns[column] = fields[field] === '' ? null : fields[field];
+  }
+  return columns;
+}
+
+/**
+ * Get a rule by ID (null if it doesn't exist)
+ */
+function getCategoryRule(id) {
+  return db.prepare('SELECT * FROM category_rules WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Create a rule and apply it
+ * Returns { rule, applied }
+ */
+function createCategoryRule(fields, { overwrite = false } = {}) {
+  const columns = { match_type: 'equals', priority: 0, ...ruleColumns(fields), is_auto: 0 };
+  const names = Object.keys(columns);
+  const id = db.prepare(`
+    INSERT INTO category_rules (${names.join(', ')}) VALUES (${names.map(name => `@${name}`).join(', ')})
+  `).run(columns).lastInsertRowid;
+
+  const rule = getCategoryRule(id);
+  return { rule, applied: applyRule(rule, { overwrite }) };
+}
+
+/**
+ * Edit a rule (only the given fields change) and apply it
+ * An edited auto-rule becomes the user's - it's no longer removed automatically
+ * Returns { rule, applied }, or null if there's no such rule
+ */
+function updateCategoryRule(id, fields, { overwrite = false } = {}) {
+  if (!getCategoryRule(id)) return null;
+
+  const columns = { ...ruleColumns(fields), is_auto: 0 };
+  const names = Object.keys(columns);
+  db.prepare(`UPDATE category_rules SET ${names.map(name => `${name} = @${name}`).join(', ')} WHERE id = @id`)
+    .run({ ...columns, id });
+
+  const rule = getCategoryRule(id);
+  return { rule, applied: applyRule(rule, { overwrite }) };
+}
+
+/**
+ * Delete a rule (transactions keep their category)
+ */
+function deleteCategoryRule(id) {
+  return db.prepare('DELETE FROM category_rules WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Show what a draft rule would match, without saving it
+ * Pass the ID of an existing rule to preview an edit of it
+ * Returns { matches, counts: { categorize, recategorize, unchanged, shadowed } }
+ */
+function previewCategoryRule(fields, id = null) {
+  const existing = id ? getCategoryRule(id) : null;
+  const draft = {
+    match_type: 'equals',
+    priority: 0,
+    ...existing,
+    ...ruleColumns(fields),
+    id: existing ? existing.id : 0,
+  };
+  const rules = [...getOrderedRules().filter(rule => rule.id !== draft.id), draft].sort(compareRules);
+
+  const categoryNames = Object.fromEntries(getCategories().map(c => [c.id, c.name]));
+  const matches = getRuleMatches(draft, rules).map(match => ({
+    ...match,
+    category_name: categoryNames[match.category_id] || null,
+  }));
+
+  const counts = { categorize: 0, recategorize: 0, unchanged: 0, shadowed: 0 };
+  matches.forEach(match => counts[match.effect]++);
+  return { matches, counts };
+}
+
 /**
  * Apply all category rules to uncategorized transactions
  * Called after scraping to auto-categorize new transactions
  */
 function applyCategoryRules() {
-  const rules = db.prepare('SELECT * FROM category_rules').all();
+  const rules = getOrderedRules();
+  const stmt = db.prepare('UPDATE transactions SET category_id = ? WHERE id = ?');
   let applied = 0;
-  
-  for (const rule of rules) {
-    const result = db.prepare(`
-      UPDATE transactions 
-      SET category_id = ? 
-      WHERE description = ? AND (category_id IS NULL OR category_id = '')
-    `).run(rule.category_id, rule.description_pattern);
-    applied += result.changes;
-  }
-  
+
+  db.transaction(() => {
+    for (const txn of getUncategorizedTransactions()) {
+      const rule = findMatchingRule(rules, txn);
+      if (rule) {
+        stmt.run(rule.category_id, txn.id);
+        applied++;
+      }
+    }
+  })();
+
   return applied;
 }
 
 /**
- * Get all category rules
+ * Get all category rules, in the order they're tried
  */
 function getCategoryRules() {
   return db.prepare(`
     SELECT r.*, c.name as category_name, c.color as category_color
     FROM category_rules r
     JOIN categories c ON r.category_id = c.id
-    ORDER BY r.description_pattern
+  `).all().sort(compareRules);
+}
+
+// ===========================================
+// CATEGORY SUGGESTIONS
+// ===========================================
+
+/**
+ * Categorized transactions to learn suggestions from (split ones as their parts)
+ */
+function getTrainingTransactions() {
+  const transactions = db.prepare(`
+    SELECT id, description, memo, amount, account, category_id, is_transfer FROM transactions
   `).all();
+  return expandSplits(transactions).filter(txn => txn.category_id);
+}
+
+/**
+ * Set the category of transactions that are still uncategorized, without
+ * learning rules (for suggestions applied automatically). Split transactions
+ * are left alone - their parts have the categories.
+ * Takes [{ transactionId, categoryId }], returns how many were set
+ */
+function assignCategories(assignments) {
+  const stmt = db.prepare(`
+    UPDATE transactions SET category_id = ?
+    WHERE id = ? AND (category_id IS NULL OR category_id = '')
+      AND id NOT IN (SELECT transaction_id FROM transaction_splits)
+  `);
+  const assign = db.transaction(() => {
+    let count = 0;
+    for (const { transactionId, categoryId } of assignments) {
+      count += stmt.run(categoryId, transactionId).changes;
+    }
+    return count;
+  });
+  return assign();
 }
 
 module.exports = {
@@ -884,9 +2667,14 @@ module.exports = {
   getMonthlySummary,
   getAvailableMonths,
   getTransactionCount,
+  getTransaction,
   getCategories,
+  getCategory,
   createCategory,
+  updateCategory,
+  setCategoryParent,
   deleteCategory,
+  mergeCategories,
   setTransactionCategory,
   setTransactionTransfer,
   redetectTransfers,
@@ -895,9 +2683,35 @@ module.exports = {
   setTransactionOccasionalIncome,
   applyCategoryRules,
   getCategoryRules,
+  getUncategorizedTransactions,
+  getTrainingTransactions,
+  assignCategories,
+  getSuggestionSettings,
+  setSuggestionSettings,
+  createCategoryRule,
+  updateCategoryRule,
+  deleteCategoryRule,
+  previewCategoryRule,
+  RULE_MATCH_TYPES,
   excludeAllInMonth,
   setTransactionComment,
   getAllCategoryAverages,
+  getLastScrapeDate,
+  setLastScrapeDate,
+  startScrapeRun,
+  finishScrapeRun,
+  getScrapeRuns,
+  getLatestScrapeRuns,
+  acquireLock,
+  releaseLock,
+  getScheduleSettings,
+  setScheduleSettings,
+  getVaultConfig,
+  setVaultConfig,
+  listCredentials,
+  getCredentialSecret,
+  saveCredential,
+  deleteCredential,
   getSavingsGoal,
   setSavingsGoal,
   getDefaultSavingsGoal,
@@ -907,4 +2721,26 @@ module.exports = {
   getAverageRegularIncome,
   getOccasionalIncomeForMonth,
   calculateAvailableBudget,
+  getInstallmentPlans,
+  getUpcomingInstallments,
+  getForeignSpendingReport,
+  createManualTransaction,
+  updateManualTransaction,
+  deleteManualTransaction,
+  getTransactionSplits,
+  setTransactionSplits,
+  getTags,
+  updateTransactionTags,
+  deleteTag,
+  getTagSummary,
+  getExportTransactions,
+  getBackupTables,
+  restoreBackupTables,
+  getImportPresets,
+  saveImportPreset,
+  deleteImportPreset,
+  saveBalanceSnapshot,
+  getLatestBalances,
+  getBalanceHistory,
+  getMonthlyBalanceChanges,
 };
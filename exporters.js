@@ -0,0 +1,152 @@
+/**
+ * Transaction Exporters - CSV, JSON and ledger/hledger journal output
+ * Input rows come from db.getExportTransactions (amounts in agorot). A split
+ * transaction is one row per part - CSV and JSON keep them as rows with the
+ * same id, ledger joins them into one entry.
+ */
+
+const CSV_COLUMNS = [
+  'id', 'date', 'processed_date', 'account', 'description', 'memo', 'amount', 'category',
+  'is_transfer', 'is_investment', 'is_occasional_income', 'status', 'comment',
+];
+
+/**
+ * Agorot to a plain "1234.50" string
+ */
+function toShekels(agorot) {
+  return (agorot / 100).toFixed(2);
+}
+
+// ===========================================
+// CSV
+// ===========================================
+
+/**
+ * Quote a CSV field when it holds a comma, quote or newline
+ */
+function csvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Export as CSV (with a BOM so Excel shows Hebrew correctly)
+ */
+function toCsv(transactions) {
+  const rows = transactions.map(txn => [
+    txn.id,
+    txn.date,
+    txn.processed_date,
+    txn.account,
+    txn.description,
+    txn.memo,
+    toShekels(txn.amount),
+    txn.category_name,
+    txn.is_transfer ? 1 : 0,
+    txn.is_investment ? 1 : 0,
+    txn.is_occasional_income ? 1 : 0,
+    txn.status,
+    txn.user_comment,
+  ].map(csvField).join(','));
+
+  return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// ===========================================
+// JSON
+// ===========================================
+
+/**
+ * Export as JSON (amounts in agorot, like the rest of the API)
+ */
+function toJson(transactions, filters) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    filters,
+    transactions: transactions.map(txn => ({
+      id: txn.id,
+      date: txn.date,
+      processedDate: txn.processed_date,
+      account: txn.account,
+      description: txn.description,
+      memo: txn.memo,
+      amount: txn.amount,
+      category: txn.category_name,
+      isTransfer: !!txn.is_transfer,
+      isInvestment: !!txn.is_investment,
+      isOccasionalIncome: !!txn.is_occasional_income,
+      status: txn.status,
+      comment: txn.user_comment || null,
+      originalAmount: txn.original_amount,
+      originalCurrency: txn.original_currency,
+    })),
+  }, null, 2);
+}
+
+// ===========================================
+// LEDGER
+// ===========================================
+
+/**
+ * Make a name safe as a ledger account segment (":" separates levels,
+ * two spaces end the account name)
+ */
+function ledgerName(name) {
+  return String(name).replace(/:/g, '-').replace(/\s+/g, ' ').trim() || 'Unknown';
+}
+
+/**
+ * Account the other side of a transaction posts to, named after our category
+ */
+function counterAccount(txn) {
+  if (txn.is_transfer) return 'Transfers';
+  if (txn.is_investment) return 'Assets:Investments';
+  const category = ledgerName(txn.category_name || 'Uncategorized');
+  return txn.amount > 0 ? `Income:${category}` : `Expenses:${category}`;
+}
+
+/**
+ * Group rows into journal entries - the parts of a split transaction are adjacent
+ */
+function groupSplitParts(transactions) {
+  const groups = [];
+  for (const txn of transactions) {
+    const last = groups[groups.length - 1];
+    if (txn.split_of && last && last[0].split_of === txn.split_of) {
+      last.push(txn);
+    } else {
+      groups.push([txn]);
+    }
+  }
+  return groups;
+}
+
+const oneLine = text => text.replace(/[\r\n]+/g, ' ');
+
+/**
+ * Export as a ledger / hledger journal (ILS commodity)
+ * A split transaction is one entry with a posting per part (commented with the part's comment)
+ */
+function toLedger(transactions) {
+  const entries = groupSplitParts(transactions).map(parts => {
+    const txn = parts[0];
+    const flag = txn.status === 'pending' ? '!' : '*';
+    const lines = [`${txn.date} ${flag} ${oneLine(txn.description || '')}`];
+    if (!txn.split_of && txn.user_comment) lines.push(`    ; ${oneLine(txn.user_comment)}`);
+    lines.push(`    ; id: ${txn.id}`);
+    for (const part of parts) {
+      const comment = part.split_of && part.user_comment ? `  ; ${oneLine(part.user_comment)}` : '';
+      lines.push(`    ${counterAccount(part)}  ${toShekels(-part.amount)} ILS${comment}`);
+    }
+    lines.push(`    Assets:${ledgerName(txn.account)}`);
+    return lines.join('\n');
+  });
+
+  return entries.join('\n\n') + '\n';
+}
+
+module.exports = {
+  toCsv,
+  toJson,
+  toLedger,
+};
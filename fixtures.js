@@ -0,0 +1,98 @@
+/**
+ * Scraper Fixtures - Record raw scrape results and replay them offline
+ *
+ * `npm run scrape -- --record` saves every raw scraper.scrape() result to
+ * fixtures/<account>-<date>.json with account numbers and long digit runs
+ * masked. An account with "provider": "replay" feeds such a file back through
+ * the normal mapping and db.upsertTransactions path, without a bank.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+// ===========================================
+// MASKING
+// ===========================================
+
+/**
+ * Keep only the last 4 digits of a number ("123456789" -> "*****6789")
+ */
+function maskNumber(value) {
+  const str = String(value);
+  return str.length <= 4 ? str : '*'.repeat(str.length - 4) + str.slice(-4);
+}
+
+/**
+ * Mask account/card numbers inside free text (6+ digits in a row)
+ */
+function maskText(text) {
+  return typeof text === 'string' ? text.replace(/\d{6,}/g, maskNumber) : text;
+}
+
+/**
+ * Mask a raw scrape result (identifiers are kept - dedupe depends on them)
+ */
+function maskResult(result) {
+  return {
+    ...result,
+    errorMessage: maskText(result.errorMessage),
+    accounts: (result.accounts || []).map(account => ({
+      ...account,
+      accountNumber: maskNumber(account.accountNumber),
+      txns: account.txns.map(txn => ({
+        ...txn,
+        description: maskText(txn.description),
+        memo: maskText(txn.memo),
+      })),
+    })),
+  };
+}
+
+// ===========================================
+// RECORD / REPLAY
+// ===========================================
+
+/**
+ * Save a masked scrape result as a fixture, returns the file path
+ */
+function recordFixture(bank, startDate, result) {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+
+  const date = new Date().toISOString().substring(0, 10);
+  const file = path.join(FIXTURES_DIR, `${bank.name}-${date}.json`);
+  const fixture = {
+    account: bank.name,
+    provider: bank.provider,
+    recordedAt: new Date().toISOString(),
+    startDate: startDate.toISOString(),
+    // Only which fields were used, never their values
+    credentials: Object.fromEntries(Object.keys(bank.credentials).map(field => [field, '***'])),
+    result: maskResult(result),
+  };
+
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  return file;
+}
+
+/**
+ * Create a scraper that returns a recorded result instead of logging in
+ * (relative paths are resolved from the project directory)
+ */
+function createReplayScraper(fixturePath) {
+  return {
+    scrape: async () => {
+      const file = path.resolve(__dirname, fixturePath);
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return fixture.result;
+    },
+  };
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  maskResult,
+  recordFixture,
+  createReplayScraper,
+};
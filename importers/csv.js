@@ -0,0 +1,231 @@
+/**
+ * CSV Importer - Turns a bank's CSV export into transactions for upsertTransactions
+ *
+ * A mapping says how to read the file (saved as named presets in the DB):
+ *   {
+ *     delimiter: ',',              // optional - detected from the header line
+ *     skipRows: 0,                 // lines before the header (bank name, title...)
+ *     hasHeader: true,             // columns are header names, else 0-based indexes
+ *     dateFormat: 'DD/MM/YYYY',    // tokens: DD, MM, YYYY, YY
+ *     amountMode: 'signed',        // 'signed' (one amount column) or 'debitCredit'
+ *     invertSign: false,           // card exports list charges as positive numbers
+ *     columns: { date, amount, debit, credit, description, memo, processedDate, identifier }
+ *   }
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// ===========================================
+// PARSING
+// ===========================================
+
+/**
+ * Guess the delimiter from the first line (the one that splits it most)
+ */
+function detectDelimiter(line) {
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = line.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may hold delimiters, quotes and newlines)
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop empty lines
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Parse a date with a format like "DD/MM/YYYY" into YYYY-MM-DD (null if it doesn't match)
+ */
+function parseDate(value, format) {
+  const tokens = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|YY|MM|DD/g, token => {
+      tokens.push(token);
+      return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+    });
+
+  const match = new RegExp(`^${pattern}$`).exec(String(value).trim());
+  if (!match) return null;
+
+  const parts = {};
+  tokens.forEach((token, i) => {
+    parts[token] = Number(match[i + 1]);
+  });
+
+  const year = parts.YYYY || 2000 + parts.YY;
+  const month = parts.MM;
+  const day = parts.DD;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse an amount as banks write it: "₪1,234.50", "-50", "50-", "(50.00)"
+ * Returns agorot, 0 for an empty cell and null if it isn't a number
+ */
+function parseAmount(value) {
+  let str = String(value || '').trim();
+  if (str === '') return 0;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  if (str.endsWith('-')) {
+    negative = true;
+    str = str.slice(0, -1);
+  }
+
+  str = str.replace(/[₪$€£\s,]/g, '').replace(/[^\d.-]/g, '');
+  const number = Number(str);
+  if (str === '' || Number.isNaN(number)) return null;
+
+  const agorot = Math.round(number * 100);
+  return negative ? -Math.abs(agorot) : agorot;
+}
+
+// ===========================================
+// MAPPING
+// ===========================================
+
+/**
+ * Read the CSV with a mapping
+ * Returns { headers, delimiter, sample, transactions, errors } - sample is the
+ * first raw rows (to pick columns from), and rows that can't be read are
+ * reported in errors (with their line number) instead of failing the import
+ */
+function readCsvTransactions(text, mapping = {}) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const skipRows = parseInt(mapping.skipRows) || 0;
+  const body = lines.slice(skipRows).join('\n');
+  const delimiter = mapping.delimiter || detectDelimiter(lines[skipRows] || '');
+
+  const rows = parseCsv(body, delimiter);
+  const hasHeader = mapping.hasHeader !== false;
+  const headers = hasHeader && rows.length > 0 ? rows[0].map(h => h.trim()) : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const firstLine = skipRows + (hasHeader ? 2 : 1);
+  const sample = dataRows.slice(0, 5);
+
+  const columns = mapping.columns || {};
+  const columnIndex = (key) => {
+    const column = columns[key];
+    if (column === undefined || column === null || column === '') return -1;
+    return hasHeader && Number.isNaN(Number(column)) ? headers.indexOf(column) : Number(column);
+  };
+
+  const required = mapping.amountMode === 'debitCredit'
+    ? ['date', 'debit', 'credit', 'description']
+    : ['date', 'amount', 'description'];
+  const unmapped = required.filter(key => columnIndex(key) < 0);
+  if (unmapped.length > 0) {
+    const error = `Map the columns: ${unmapped.join(', ')}`;
+    return { headers, delimiter, sample, transactions: [], errors: [{ line: null, error }] };
+  }
+
+  const dateFormat = mapping.dateFormat || 'DD/MM/YYYY';
+  const cell = (row, key) => {
+    const index = columnIndex(key);
+    return index >= 0 && row[index] !== undefined ? row[index].trim() : '';
+  };
+
+  const transactions = [];
+  const errors = [];
+
+  dataRows.forEach((row, i) => {
+    const line = firstLine + i;
+
+    const date = parseDate(cell(row, 'date'), dateFormat);
+    if (!date) {
+      errors.push({ line, error: `Bad date "${cell(row, 'date')}" (expected ${dateFormat})` });
+      return;
+    }
+
+    let amount;
+    if (mapping.amountMode === 'debitCredit') {
+      const debit = parseAmount(cell(row, 'debit'));
+      const credit = parseAmount(cell(row, 'credit'));
+      amount = debit === null || credit === null ? null : Math.abs(credit) - Math.abs(debit);
+    } else {
+      amount = parseAmount(cell(row, 'amount'));
+    }
+    if (amount === null || amount === 0) {
+      errors.push({ line, error: amount === null ? 'Bad amount' : 'No amount' });
+      return;
+    }
+    if (mapping.invertSign) amount = -amount;
+
+    const processedDate = columnIndex('processedDate') >= 0 ? parseDate(cell(row, 'processedDate'), dateFormat) : null;
+
+    transactions.push({
+      identifier: cell(row, 'identifier') || null,
+      date,
+      processedDate,
+      amount,
+      description: cell(row, 'description'),
+      memo: cell(row, 'memo'),
+      status: 'completed',
+    });
+  });
+
+  return { headers, delimiter, sample, transactions, errors };
+}
+
+module.exports = {
+  parseCsv,
+  parseDate,
+  parseAmount,
+  readCsvTransactions,
+};
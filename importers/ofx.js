@@ -0,0 +1,125 @@
+/**
+ * OFX / QFX Importer - Reads bank, card and brokerage cash statements
+ *
+ * Handles both OFX 1.x (SGML, leaf tags are not closed) and OFX 2.x (XML).
+ * Every <STMTTRN> becomes a transaction; its FITID is the bank's own ID,
+ * so it's used as the identifier for dedupe.
+ */
+
+const { parseAmount } = require('./csv');
+
+// ===========================================
+// PARSING
+// ===========================================
+
+/**
+ * Decode the few XML entities OFX files use
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read a leaf element's value from an OFX block (works with and without closing tags)
+ */
+function readTag(block, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1].trim()) : '';
+}
+
+/**
+ * Convert an OFX date ("20260915", "20260915120000.000[+2:IST]") to a local YYYY-MM-DD
+ * With a zone offset the instant is converted to local time; without one the date is taken as is
+ */
+function parseOfxDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:\.\d+)?)?(?:\s*\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, offset] = match;
+  if (offset === undefined) {
+    return `${year}-${month}-${day}`;
+  }
+
+  const utc = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0) - parseFloat(offset) * 3600000;
+  const local = new Date(utc);
+  return [
+    local.getFullYear(),
+    String(local.getMonth() + 1).padStart(2, '0'),
+    String(local.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Convert an OFX amount ("-1234.56", "1,234.56", "-1.234,56") to agorot
+ * Whichever separator comes last is the decimal point; the other one groups thousands
+ */
+function parseOfxAmount(value) {
+  const str = value.lastIndexOf(',') > value.lastIndexOf('.')
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value;
+  return parseAmount(str);
+}
+
+/**
+ * Read an OFX/QFX file
+ * Returns { accountIds, transactions, errors } in the same shape as the CSV importer
+ */
+function readOfxTransactions(text) {
+  const accountIds = [...new Set([...text.matchAll(/<ACCTID>([^<\r\n]*)/gi)].map(m => m[1].trim()))];
+
+  const transactions = [];
+  const errors = [];
+
+  const blocks = [...text.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi)].map(m => m[1]);
+  if (blocks.length === 0) {
+    errors.push({ line: null, error: 'No <STMTTRN> transactions found - is this an OFX/QFX file?' });
+  }
+
+  blocks.forEach((block, i) => {
+    const fitId = readTag(block, 'FITID');
+    const date = parseOfxDate(readTag(block, 'DTPOSTED') || readTag(block, 'DTUSER'));
+    if (!date) {
+      errors.push({ line: i + 1, error: `Bad date in transaction ${fitId || i + 1}` });
+      return;
+    }
+
+    const amount = parseOfxAmount(readTag(block, 'TRNAMT'));
+    if (!readTag(block, 'TRNAMT') || amount === null) {
+      errors.push({ line: i + 1, error: `Bad amount in transaction ${fitId || i + 1}` });
+      return;
+    }
+
+    // Prefer NAME (or PAYEE's NAME) as the description and keep MEMO as the memo
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+
+    // Foreign currency purchase: ORIGCURRENCY holds the rate and the original currency
+    const origCurrency = readTag(block, 'CURSYM') && /<ORIGCURRENCY>/i.test(block) ? readTag(block, 'CURSYM') : null;
+    const rate = origCurrency ? Number(readTag(block, 'CURRATE')) : null;
+
+    transactions.push({
+      identifier: fitId || null,
+      date,
+      processedDate: null,
+      amount,
+      description: name || memo || readTag(block, 'TRNTYPE'),
+      memo: name ? memo : '',
+      status: 'completed',
+      originalAmount: origCurrency && rate ? Math.round(amount / rate) : null,
+      originalCurrency: origCurrency || null,
+    });
+  });
+
+  return { accountIds, transactions, errors };
+}
+
+module.exports = {
+  parseOfxAmount,
+  parseOfxDate,
+  readOfxTransactions,
+};
@@ -0,0 +1,101 @@
+/**
+ * QIF Importer - Reads Quicken Interchange Format bank and card statements
+ *
+ * Records are lines of one-letter fields ended by "^" (D date, T/U amount,
+ * P payee, M memo, N check/reference number). QIF dates have no fixed
+ * order, so the date format is chosen by the user like in the CSV importer.
+ * QIF has no transaction IDs: the N number is used when present, otherwise
+ * rows are deduped by content like scraped rows without an identifier.
+ */
+
+const { parseDate, parseAmount } = require('./csv');
+
+// Investment records describe trades, not cash movements
+const SUPPORTED_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Normalize a QIF date (" 1/ 5'26" -> "1/5/26") before parsing it with the format
+ */
+function normalizeQifDate(value) {
+  return value.replace(/\s/g, '').replace(/'/g, '/');
+}
+
+/**
+ * Read a QIF file
+ * Returns { accountIds, transactions, errors } in the same shape as the CSV importer
+ */
+function readQifTransactions(text, options = {}) {
+  const dateFormat = options.dateFormat || 'DD/MM/YYYY';
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  const transactions = [];
+  const errors = [];
+  let type = 'bank';
+  let record = {};
+  let recordLine = 1;
+
+  const finishRecord = () => {
+    if (Object.keys(record).length === 0) return;
+    const current = record;
+    record = {};
+
+    if (!SUPPORTED_TYPES.includes(type)) return;
+
+    const rawDate = normalizeQifDate(current.D || '');
+    // Two-digit years after the apostrophe are common even when the format says YYYY
+    const date = parseDate(rawDate, dateFormat) || parseDate(rawDate, dateFormat.replace('YYYY', 'YY'));
+    if (!date) {
+      errors.push({ line: recordLine, error: `Bad date "${current.D || ''}" (expected ${dateFormat})` });
+      return;
+    }
+
+    const amount = parseAmount(current.T || current.U || '');
+    if (amount === null || amount === 0) {
+      errors.push({ line: recordLine, error: amount === null ? 'Bad amount' : 'No amount' });
+      return;
+    }
+
+    transactions.push({
+      identifier: current.N && /\d/.test(current.N) ? current.N : null,
+      date,
+      processedDate: null,
+      amount,
+      description: current.P || current.M || '',
+      memo: current.P ? current.M || '' : '',
+      status: 'completed',
+    });
+  };
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      finishRecord();
+      const header = /^!Type:(.*)$/i.exec(line);
+      if (header) type = header[1].trim().toLowerCase();
+      return;
+    }
+
+    if (line === '^') {
+      finishRecord();
+      return;
+    }
+
+    if (Object.keys(record).length === 0) recordLine = i + 1;
+    const field = line[0];
+    // Keep the first value of repeated fields (split lines S/E/$ repeat)
+    if (record[field] === undefined) record[field] = line.slice(1).trim();
+  });
+  finishRecord();
+
+  if (transactions.length === 0 && errors.length === 0) {
+    errors.push({ line: null, error: 'No bank or card transactions found - is this a QIF file?' });
+  }
+
+  return { accountIds: [], transactions, errors };
+}
+
+module.exports = {
+  readQifTransactions,
+};
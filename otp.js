@@ -0,0 +1,79 @@
+/**
+ * OTP Challenges - Relays one-time codes from the user to a running scrape
+ *
+ * When a provider asks for an SMS code, the scraper opens a challenge and
+ * waits on it. The challenge is announced as a scrape progress event, and
+ * whoever sees it (the dashboard modal, or the terminal in a CLI run) answers
+ * it with the code. Unanswered challenges expire after OTP_TIMEOUT_MINUTES.
+ */
+
+const OTP_TIMEOUT_MINUTES = parseInt(process.env.OTP_TIMEOUT_MINUTES) || 5;
+
+const pending = new Map();
+let nextChallengeId = 1;
+
+/**
+ * Open a challenge for an account
+ * Returns the challenge (safe to publish) and a promise of the code, which
+ * rejects if the challenge times out or is cancelled
+ */
+function openChallenge(account) {
+  const challenge = {
+    id: nextChallengeId++,
+    account,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + OTP_TIMEOUT_MINUTES * 60000).toISOString(),
+  };
+
+  const code = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pending.delete(challenge.id);
+      reject(new Error(`No code was entered for ${account} within ${OTP_TIMEOUT_MINUTES} minutes`));
+    }, OTP_TIMEOUT_MINUTES * 60000);
+
+    pending.set(challenge.id, { challenge, resolve, reject, timer });
+  });
+
+  return { challenge, code };
+}
+
+/**
+ * Get the challenges still waiting for a code
+ */
+function getPendingChallenges() {
+  return [...pending.values()].map(entry => entry.challenge);
+}
+
+/**
+ * Settle a pending challenge, returns false if it's unknown or already settled
+ */
+function settle(id, settleWith) {
+  const entry = pending.get(id);
+  if (!entry) return false;
+  clearTimeout(entry.timer);
+  pending.delete(id);
+  settleWith(entry);
+  return true;
+}
+
+/**
+ * Answer a challenge with the code the user typed
+ */
+function answerChallenge(id, code) {
+  return settle(id, entry => entry.resolve(String(code).trim()));
+}
+
+/**
+ * Give up on a challenge (the scrape of that account fails)
+ */
+function cancelChallenge(id) {
+  return settle(id, entry => entry.reject(new Error(`Code entry for ${entry.challenge.account} was cancelled`)));
+}
+
+module.exports = {
+  OTP_TIMEOUT_MINUTES,
+  openChallenge,
+  getPendingChallenges,
+  answerChallenge,
+  cancelChallenge,
+};
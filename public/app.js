@@ -17,6 +17,18 @@ let availableMonths = [];
 let categories = [];
 let currentSummary = null;
 let selectedColor = '#6366f1';
+let scrapeRunning = false;
+let currentChallenge = null;
+let importText = '';
+let importFormat = 'csv';
+let importPresets = [];
+let importHeaders = [];
+let importColumnCount = 0;
+let backupData = null;
+let expandedCategories = new Set();
+let editingCategoryId = null;
+let removingCategoryId = null;
+let currentSuggestions = {};
 
 // ===========================================
 // API Functions
@@ -97,13 +109,245 @@ async function fetchAvailableBudget(year, month) {
   }
 }
 
-async function apiCreateCategory(name, color) {
+async function fetchUpcomingInstallments() {
+  try {
+    const res = await fetch(`${API_BASE}/api/installments/upcoming`);
+    const data = await res.json();
+    return data.months || [];
+  } catch (error) {
+    console.error('Failed to fetch installments:', error);
+    return [];
+  }
+}
+
+async function fetchForeignReport(year) {
+  try {
+    const res = await fetch(`${API_BASE}/api/reports/foreign/${year}`);
+    const data = await res.json();
+    return data.months || [];
+  } catch (error) {
+    console.error('Failed to fetch foreign report:', error);
+    return [];
+  }
+}
+
+async function fetchBalances() {
+  try {
+    const res = await fetch(`${API_BASE}/api/balances`);
+    return await res.json();
+  } catch (error) {
+    console.error('Failed to fetch balances:', error);
+    return null;
+  }
+}
+
+async function fetchLatestScrapeRuns() {
+  try {
+    const res = await fetch(`${API_BASE}/api/scrape-runs/latest`);
+    const data = await res.json();
+    return data.accounts || [];
+  } catch (error) {
+    console.error('Failed to fetch scrape runs:', error);
+    return [];
+  }
+}
+
+async function fetchSchedule() {
+  try {
+    const res = await fetch(`${API_BASE}/api/schedule`);
+    return await res.json();
+  } catch (error) {
+    console.error('Failed to fetch schedule:', error);
+    return null;
+  }
+}
+
+async function apiStartScrape(account) {
+  const res = await fetch(`${API_BASE}/api/scrape`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ account }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiAnswerChallenge(challengeId, code) {
+  const res = await fetch(`${API_BASE}/api/challenges/${challengeId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiCancelChallenge(challengeId) {
+  await fetch(`${API_BASE}/api/challenges/${challengeId}`, { method: 'DELETE' });
+}
+
+async function fetchImportPresets() {
+  try {
+    const res = await fetch(`${API_BASE}/api/import/presets`);
+    const data = await res.json();
+    return data.presets || [];
+  } catch (error) {
+    console.error('Failed to fetch import presets:', error);
+    return [];
+  }
+}
+
+async function apiImportCsv(body) {
+  const res = await fetch(`${API_BASE}/api/import/csv`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiImportStatement(format, body) {
+  const res = await fetch(`${API_BASE}/api/import/${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiSaveImportPreset(name, bank, mapping) {
+  await fetch(`${API_BASE}/api/import/presets/${encodeURIComponent(name)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ bank, mapping }),
+  });
+}
+
+async function fetchAutoBackups() {
+  try {
+    const res = await fetch(`${API_BASE}/api/backups`);
+    const data = await res.json();
+    return data.backups || [];
+  } catch (error) {
+    console.error('Failed to fetch backups:', error);
+    return [];
+  }
+}
+
+async function apiRestoreBackup(body) {
+  const res = await fetch(`${API_BASE}/api/backup/restore`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function fetchVault() {
+  try {
+    const res = await fetch(`${API_BASE}/api/vault`);
+    return await res.json();
+  } catch (error) {
+    console.error('Failed to fetch vault:', error);
+    return null;
+  }
+}
+
+async function apiUnlockVault(passphrase) {
+  const res = await fetch(`${API_BASE}/api/vault/unlock`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ passphrase }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiLockVault() {
+  await fetch(`${API_BASE}/api/vault/lock`, { method: 'POST' });
+}
+
+async function apiSaveCredentials(account, credentials) {
+  const res = await fetch(`${API_BASE}/api/credentials/${encodeURIComponent(account)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ credentials }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiDeleteCredentials(account) {
+  await fetch(`${API_BASE}/api/credentials/${encodeURIComponent(account)}`, {
+    method: 'DELETE',
+  });
+}
+
+async function fetchRules() {
+  try {
+    const res = await fetch(`${API_BASE}/api/categories/rules`);
+    const data = await res.json();
+    return data.rules || [];
+  } catch (error) {
+    console.error('Failed to fetch rules:', error);
+    return [];
+  }
+}
+
+async function apiSaveRule(ruleId, fields) {
+  const res = await fetch(`${API_BASE}/api/categories/rules${ruleId ? `/${ruleId}` : ''}`, {
+    method: ruleId ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiPreviewRule(body) {
+  const res = await fetch(`${API_BASE}/api/categories/rules/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiDeleteRule(ruleId) {
+  await fetch(`${API_BASE}/api/categories/rules/${ruleId}`, {
+    method: 'DELETE',
+  });
+}
+
+async function apiCreateCategory(name, color, parentId, icon) {
   const res = await fetch(`${API_BASE}/api/categories`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name, color }),
+    body: JSON.stringify({ name, color, parentId, icon }),
   });
-  return res.json();
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiUpdateCategory(categoryId, fields) {
+  const res = await fetch(`${API_BASE}/api/categories/${categoryId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiMergeCategory(categoryId, targetId) {
+  const res = await fetch(`${API_BASE}/api/categories/${categoryId}/merge`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ targetId }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiSetCategoryParent(categoryId, parentId) {
+  const res = await fetch(`${API_BASE}/api/categories/${categoryId}/parent`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ parentId }),
+  });
+  return { status: res.status, data: await res.json() };
 }
 
 async function apiSetTransactionCategory(txnId, categoryId) {
@@ -138,6 +382,101 @@ async function apiSetComment(txnId, comment) {
   });
 }
 
+async function apiCreateManualTransaction(fields) {
+  const res = await fetch(`${API_BASE}/api/transactions/manual`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiUpdateManualTransaction(txnId, fields) {
+  const res = await fetch(`${API_BASE}/api/transactions/manual/${encodeURIComponent(txnId)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiDeleteManualTransaction(txnId) {
+  await fetch(`${API_BASE}/api/transactions/manual/${encodeURIComponent(txnId)}`, {
+    method: 'DELETE',
+  });
+}
+
+async function fetchSplits(txnId) {
+  const res = await fetch(`${API_BASE}/api/transactions/${encodeURIComponent(txnId)}/splits`);
+  return res.json();
+}
+
+async function apiSaveSplits(txnId, splits) {
+  const res = await fetch(`${API_BASE}/api/transactions/${encodeURIComponent(txnId)}/splits`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ splits }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiUpdateTags(transactionIds, { add = [], remove = [] }) {
+  const res = await fetch(`${API_BASE}/api/transactions/tags`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transactionIds, add, remove }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function fetchTagSummary(tag, from, to) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const res = await fetch(`${API_BASE}/api/tags/${encodeURIComponent(tag)}/summary?${params}`);
+  return res.json();
+}
+
+async function apiDeleteTag(tag) {
+  await fetch(`${API_BASE}/api/tags/${encodeURIComponent(tag)}`, {
+    method: 'DELETE',
+  });
+}
+
+async function fetchSuggestions(year, month) {
+  try {
+    const res = await fetch(`${API_BASE}/api/suggestions/${year}/${month}`);
+    const data = await res.json();
+    return data.suggestions || {};
+  } catch (error) {
+    console.error('Failed to fetch suggestions:', error);
+    return {};
+  }
+}
+
+async function fetchSuggestionSettings() {
+  const res = await fetch(`${API_BASE}/api/suggestions/settings`);
+  return res.json();
+}
+
+async function apiSaveSuggestionSettings(settings) {
+  const res = await fetch(`${API_BASE}/api/suggestions/settings`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(settings),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function apiApplySuggestions(minConfidence) {
+  const res = await fetch(`${API_BASE}/api/suggestions/apply`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ minConfidence }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
 async function apiToggleOccasionalIncome(txnId, isOccasional) {
   await fetch(`${API_BASE}/api/transactions/occasional-income`, {
     method: 'POST',
@@ -160,11 +499,48 @@ function formatCurrency(agorot) {
   }).format(shekels);
 }
 
+// Amount in a foreign currency (hundredths of the currency unit)
+function formatForeignCurrency(amount, currency) {
+  try {
+    return new Intl.NumberFormat('he-IL', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 2,
+    }).format(amount / 100);
+  } catch (e) {
+    return `${(amount / 100).toFixed(2)} ${currency}`; // Unknown currency code
+  }
+}
+
+// For free text inside HTML (tag names end up in attributes too)
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function formatDate(dateStr) {
   const date = new Date(dateStr);
   return date.toLocaleDateString('he-IL', { day: 'numeric', month: 'short' });
 }
 
+// SQLite datetime('now') values are UTC without a zone marker
+function parseDbTimestamp(timestamp) {
+  return new Date(timestamp.replace(' ', 'T') + 'Z');
+}
+
+function formatTimeAgo(timestamp) {
+  const minutes = Math.round((Date.now() - parseDbTimestamp(timestamp)) / 60000);
+  if (minutes < 1) return 'הרגע';
+  if (minutes < 60) return `לפני ${minutes} דק'`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `לפני ${hours} שע'`;
+  return `לפני ${Math.round(hours / 24)} ימים`;
+}
+
 // ===========================================
 // UI Updates
 // ===========================================
@@ -237,6 +613,11 @@ async function updateSavingsCard() {
       <span>הוצאות קבועות (ממוצע/בפועל)</span>
       <span class="minus">-${formatCurrency(budget.fixedExpenses)}</span>
     </div>
+    ${budget.installmentObligations > 0 ? `
+    <div class="breakdown-row sub">
+      <span>↳ כולל תשלומים צפויים שטרם חויבו 💳</span>
+      <span>${formatCurrency(budget.installmentObligations)}</span>
+    </div>` : ''}
     <div class="breakdown-row total">
       <span>תקציב כולל להוצאות משתנות החודש</span>
       <span>${formatCurrency(budget.availableForVariable)}</span>
@@ -338,6 +719,182 @@ async function editExpectedIncome() {
   }
 }
 
+async function updateSyncBadges() {
+  const container = document.getElementById('syncBadges');
+  const runs = await fetchLatestScrapeRuns();
+
+  container.innerHTML = runs.map(run => {
+    const failed = run.finished_at && !run.success;
+    const running = !run.finished_at;
+    const statusClass = running ? 'running' : failed ? 'failed' : 'ok';
+    const lastSync = run.last_success_at ? formatTimeAgo(run.last_success_at) : 'אף פעם';
+    const title = failed
+      ? `נכשל: ${run.error_type || ''} ${run.error_message || ''}`
+      : `עודכן: ${lastSync}`;
+    return `
+      <span class="sync-badge ${statusClass}" title="${title}\nלחץ לרענון החשבון" onclick="startScrape('${run.account}')">
+        ${running ? '⏳' : failed ? '⚠️' : '✓'} ${run.account} · ${lastSync}
+      </span>
+    `;
+  }).join('');
+}
+
+// ===========================================
+// Scraping
+// ===========================================
+
+async function startScrape(account = null) {
+  if (scrapeRunning) return;
+
+  try {
+    const { status, data } = await apiStartScrape(account);
+    // 409 = a job is already running - its progress arrives on the event stream anyway
+    if (status !== 202 && status !== 409) {
+      alert(data.error || 'שגיאה בהפעלת הסריקה');
+    }
+  } catch (error) {
+    console.error('Failed to start scrape:', error);
+  }
+}
+
+// Follows every scrape job, including scheduled ones and those started elsewhere
+function watchScrapes() {
+  const events = new EventSource(`${API_BASE}/api/scrape/events`);
+  events.onmessage = (e) => handleScrapeEvent(JSON.parse(e.data));
+}
+
+function setScrapeRunning(running) {
+  scrapeRunning = running;
+  document.getElementById('refreshBtn').disabled = running;
+}
+
+function describeScrapeEvent(event) {
+  switch (event.type) {
+    case 'job-start': return event.account ? `מתחיל סריקה של ${event.account}...` : 'מתחיל סריקה...';
+    case 'connecting': return `מתחבר ל-${event.account}...`;
+    case 'fetched': return `${event.account}: ${event.count} תנועות בחשבון ${event.accountNumber}`;
+    case 'done': return `${event.account}: ${event.inserted} חדשות, ${event.updated} עודכנו`;
+    case 'skipped': return `${event.account}: דולג (${event.reason})`;
+    case 'failed': return `${event.account}: נכשל - ${event.errorMessage || event.errorType}`;
+    case 'challenge': return `${event.account}: ממתין לקוד אימות...`;
+    case 'challenge-done': return `מתחבר ל-${event.account}...`;
+    case 'job-done':
+      return event.status === 'done'
+        ? `✓ הסריקה הסתיימה (${event.totalSaved} תנועות${event.suggestionsApplied ? `, ${event.suggestionsApplied} סווגו לפי הצעות` : ''})`
+        : `⚠️ הסריקה נכשלה${event.failed && event.failed.length ? `: ${event.failed.join(', ')}` : ''}`;
+    default: return '';
+  }
+}
+
+async function updateNextRun() {
+  const el = document.getElementById('nextRun');
+  const status = await fetchSchedule();
+  if (!status) return;
+
+  if (!status.nextRunAt) {
+    el.textContent = '⏰ ללא תזמון';
+    return;
+  }
+  const next = new Date(status.nextRunAt);
+  const when = next.toLocaleString('he-IL', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+  el.textContent = `⏰ ${status.retry ? 'ניסיון חוזר' : 'סריקה הבאה'}: ${when}`;
+}
+
+async function editSchedule() {
+  const status = await fetchSchedule();
+  const current = status ? status.schedule : '';
+
+  const input = prompt(
+    'תזמון סריקה אוטומטית (cron: דקה שעה יום חודש יום-בשבוע, מופרדים ב-;)\n\nלדוגמה: 0 8,20 * * *\nריק = ללא סריקה אוטומטית',
+    current
+  );
+  if (input === null) return;
+
+  try {
+    const res = await fetch(`${API_BASE}/api/schedule`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ schedule: input }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(`תזמון לא תקין: ${data.error}`);
+      return;
+    }
+    await updateNextRun();
+  } catch (error) {
+    console.error('Failed to set schedule:', error);
+  }
+}
+
+async function handleScrapeEvent(event) {
+  const statusEl = document.getElementById('scrapeStatus');
+  statusEl.textContent = describeScrapeEvent(event);
+  if (event.type === 'job-start') {
+    setScrapeRunning(true);
+  }
+  statusEl.classList.toggle('failed', event.type === 'failed' || event.status === 'failed');
+
+  if (event.type === 'done' || event.type === 'failed') {
+    updateSyncBadges();
+  }
+
+  if (event.type === 'challenge') {
+    showOtpModal(event.challenge);
+  }
+  if (event.type === 'challenge-done' && currentChallenge && currentChallenge.id === event.challengeId) {
+    hideOtpModal();
+  }
+
+  if (event.type === 'job-done') {
+    setScrapeRunning(false);
+    await Promise.all([fetchMonths(), fetchCategories()]);
+    updateSyncBadges();
+    updateNextRun();
+    loadMonth(currentYear, currentMonth);
+  }
+}
+
+function showOtpModal(challenge) {
+  currentChallenge = challenge;
+  const until = new Date(challenge.expiresAt).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
+  document.getElementById('otpMessage').textContent =
+    `${challenge.account} שלח קוד חד-פעמי. הזן אותו עד ${until} כדי להמשיך בסריקה.`;
+  document.getElementById('otpCode').value = '';
+  document.getElementById('otpModal').classList.add('active');
+  document.getElementById('otpCode').focus();
+}
+
+function hideOtpModal() {
+  currentChallenge = null;
+  document.getElementById('otpModal').classList.remove('active');
+}
+
+async function submitOtp() {
+  const code = document.getElementById('otpCode').value.trim();
+  if (!code || !currentChallenge) return;
+
+  const { status, data } = await apiAnswerChallenge(currentChallenge.id, code);
+  if (status !== 200) {
+    alert(data.error);
+  }
+  hideOtpModal();
+}
+
+async function cancelOtp() {
+  if (currentChallenge) {
+    await apiCancelChallenge(currentChallenge.id);
+  }
+  hideOtpModal();
+}
+
+function updateExportLinks() {
+  const monthKey = `${currentYear}-${String(currentMonth).padStart(2, '0')}`;
+  for (const [id, format] of [['exportCsv', 'csv'], ['exportJson', 'json'], ['exportLedger', 'ledger']]) {
+    document.getElementById(id).href = `${API_BASE}/api/export?format=${format}&fromMonth=${monthKey}&toMonth=${monthKey}`;
+  }
+}
+
 function updateYTDCard(ytd) {
   if (!ytd) return;
   
@@ -422,10 +979,159 @@ function updateExcludedSection(summary) {
   `).join('');
 }
 
-async function restoreToBalance(txnId) {
-  try {
-    await apiToggleTransfer(txnId, false);
-    await loadMonth(currentYear, currentMonth);
+function renderBalanceChart(history) {
+  const width = 600;
+  const height = 120;
+  const totals = history.map(p => p.total);
+  const min = Math.min(...totals);
+  const max = Math.max(...totals);
+  const range = max - min || 1;
+
+  // Oldest point on the right (RTL), newest on the left
+  const step = history.length > 1 ? width / (history.length - 1) : 0;
+  const points = history.map((p, i) => {
+    const x = width - i * step;
+    const y = height - ((p.total - min) / range) * (height - 10) - 5;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  return `
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="balances-svg">
+      <polyline points="${points}" fill="none" stroke="var(--accent-blue)" stroke-width="2" vector-effect="non-scaling-stroke" />
+    </svg>
+    <div class="balances-axis">
+      <span>${formatDate(first.date)}</span>
+      <span>מינימום ${formatCurrency(min)} · מקסימום ${formatCurrency(max)}</span>
+      <span>${formatDate(last.date)}</span>
+    </div>
+  `;
+}
+
+async function updateBalancesSection(summary) {
+  const section = document.getElementById('balancesSection');
+  const summaryEl = document.getElementById('balancesSummary');
+  const chartEl = document.getElementById('balancesChart');
+  const checkEl = document.getElementById('balancesCheck');
+
+  const data = await fetchBalances();
+  if (!data || data.history.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+
+  const latest = data.history[data.history.length - 1];
+  summaryEl.textContent = formatCurrency(latest.total);
+  chartEl.innerHTML = renderBalanceChart(data.history);
+
+  // Cross-check: did the bank balance move like the computed monthly balance?
+  const monthKey = `${currentYear}-${String(currentMonth).padStart(2, '0')}`;
+  const monthChange = data.monthly.find(m => m.month === monthKey);
+  if (!monthChange || !summary) {
+    checkEl.innerHTML = '';
+    return;
+  }
+
+  const gap = monthChange.change - summary.balance;
+  checkEl.innerHTML = `
+    <div class="balances-check-row">
+      <span>שינוי ביתרת הבנק</span>
+      <span>${formatCurrency(monthChange.change)}</span>
+    </div>
+    <div class="balances-check-row">
+      <span>יתרה מחושבת</span>
+      <span>${formatCurrency(summary.balance)}</span>
+    </div>
+    <div class="balances-check-row gap ${gap === 0 ? 'match' : ''}">
+      <span>פער</span>
+      <span>${formatCurrency(gap)}</span>
+    </div>
+  `;
+}
+
+async function updateInstallmentsSection() {
+  const section = document.getElementById('installmentsSection');
+  const summaryEl = document.getElementById('installmentsSummary');
+  const listEl = document.getElementById('installmentsList');
+
+  const months = await fetchUpcomingInstallments();
+  if (months.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+
+  const totalRemaining = months.reduce((sum, m) => sum + m.total, 0);
+  summaryEl.textContent = `נותרו ${formatCurrency(totalRemaining)}`;
+
+  listEl.innerHTML = months.map(m => {
+    const [year, month] = m.month.split('-').map(Number);
+    const items = m.items.map(item => `
+      <div class="installment-item">
+        <span class="desc">${item.description}</span>
+        <span class="installment-progress">${item.number}/${item.total}</span>
+        <span class="amount">${formatCurrency(item.amount)}</span>
+      </div>
+    `).join('');
+    return `
+      <div class="installment-month">
+        <div class="installment-month-header">
+          <span>${MONTH_NAMES[month - 1]} ${year}</span>
+          <span class="amount">${formatCurrency(m.total)}</span>
+        </div>
+        ${items}
+      </div>
+    `;
+  }).join('');
+}
+
+async function updateForeignSection() {
+  const section = document.getElementById('foreignSection');
+  const summaryEl = document.getElementById('foreignSummary');
+  const listEl = document.getElementById('foreignList');
+
+  const months = await fetchForeignReport(currentYear);
+  if (months.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+  document.getElementById('foreignYear').textContent = currentYear;
+
+  const totalCharged = months.reduce((sum, m) => sum + m.chargedTotal, 0);
+  const totalFees = months.reduce((sum, m) => sum + m.fxFees, 0);
+  summaryEl.textContent = `${formatCurrency(totalCharged)} + עמלות ${formatCurrency(totalFees)}`;
+
+  listEl.innerHTML = months.map(m => {
+    const month = Number(m.month.split('-')[1]);
+    const currencies = Object.entries(m.byCurrency).map(([currency, data]) => `
+      <div class="foreign-currency">
+        <span>${currency} (${data.count})</span>
+        <span>${formatForeignCurrency(data.originalTotal, currency)}</span>
+        <span class="charged">${formatCurrency(data.chargedTotal)}</span>
+      </div>
+    `).join('');
+    return `
+      <div class="foreign-month">
+        <div class="foreign-month-header">
+          <span>${MONTH_NAMES[month - 1]}</span>
+          ${m.fxFees > 0 ? `<span class="fx-fees">עמלות: ${formatCurrency(m.fxFees)}</span>` : ''}
+        </div>
+        ${currencies}
+      </div>
+    `;
+  }).join('');
+}
+
+async function restoreToBalance(txnId) {
+  try {
+    await apiToggleTransfer(txnId, false);
+    await loadMonth(currentYear, currentMonth);
   } catch (error) {
     console.error('Failed to restore transaction:', error);
   }
@@ -485,6 +1191,7 @@ async function restoreFromInvestment(txnId) {
 async function restoreFromInvestmentByIndex(index) {
   const txn = window.currentInvestments[index];
   if (!txn) return;
+  if (txn.split_of) return updateSplitPart(txn, { isInvestment: false });
   await restoreFromInvestment(txn.id);
 }
 
@@ -500,6 +1207,7 @@ async function toggleInvestment(txnId) {
 async function toggleInvestmentByIndex(index) {
   const txn = window.currentTransactions[index];
   if (!txn) return;
+  if (txn.split_of) return updateSplitPart(txn, { isInvestment: true });
   await toggleInvestment(txn.id);
 }
 
@@ -515,6 +1223,7 @@ async function toggleOccasionalIncome(txnId, currentState) {
 async function toggleOccasionalByIndex(index) {
   const txn = window.currentTransactions[index];
   if (!txn) return;
+  if (txn.split_of) return updateSplitPart(txn, { isOccasionalIncome: !txn.is_occasional_income });
   await toggleOccasionalIncome(txn.id, txn.is_occasional_income);
 }
 
@@ -534,54 +1243,73 @@ async function updateCategoriesSummary(summary) {
     categoryMap[cat.id] = cat;
   }
 
+  // Build a row per category, with totals that include its subcategories
+  const buildRow = ({ id: catId, name, color, icon }) => {
+    const data = summary.byCategory[catId];
+    if (!data || data.rollup.transactionCount === 0) return null;
+
+    const children = getChildCategories(catId)
+      .map(buildRow)
+      .filter(Boolean);
+
+    // Transactions set on the parent itself get their own line next to the subcategories
+    if (children.length > 0 && data.transactions.length > 0) {
+      children.push({
+        id: catId,
+        name: `${name} (כללי)`,
+        color,
+        icon,
+        net: data.income - data.expenses,
+        income: data.income,
+        expenses: data.expenses,
+        count: data.transactions.length,
+        transactions: data.transactions,
+        average: averages[catId] ? averages[catId].average : 0,
+        children: [],
+      });
+    }
+    children.sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+
+    return {
+      id: catId,
+      name,
+      color,
+      icon,
+      net: data.rollup.income - data.rollup.expenses,
+      income: data.rollup.income,
+      expenses: data.rollup.expenses,
+      count: data.rollup.transactionCount,
+      transactions: [...data.transactions, ...children.filter(c => c.id !== catId).flatMap(c => c.transactions)],
+      average: averages[catId] ? averages[catId].rollup : 0,
+      children,
+    };
+  };
+
   const rows = [];
   
   // Add uncategorized first
-  if (summary.byCategory.uncategorized) {
-    const data = summary.byCategory.uncategorized;
-    const net = data.income - data.expenses;
-    rows.push({
-      id: 'uncategorized',
-      name: 'ללא קטגוריה',
-      color: '#6b7280',
-      net,
-      income: data.income,
-      expenses: data.expenses,
-      count: data.transactions.length,
-      transactions: data.transactions,
-      average: averages['uncategorized'] || 0,
-    });
-  }
+  const uncategorized = buildRow({ id: 'uncategorized', name: 'ללא קטגוריה', color: '#6b7280' });
+  if (uncategorized) rows.push(uncategorized);
 
-  // Add other categories
-  for (const [catId, data] of Object.entries(summary.byCategory)) {
-    if (catId === 'uncategorized') continue;
-    const cat = categoryMap[catId];
-    if (!cat) continue;
-    const net = data.income - data.expenses;
-    rows.push({
-      id: catId,
-      name: cat.name,
-      color: cat.color,
-      net,
-      income: data.income,
-      expenses: data.expenses,
-      count: data.transactions.length,
-      transactions: data.transactions,
-      average: averages[catId] || 0,
-    });
+  // Add top-level categories (subcategories are nested in their rows)
+  for (const cat of categories) {
+    if (cat.parent_id && categoryMap[cat.parent_id]) continue;
+    const row = buildRow(cat);
+    if (row) rows.push(row);
   }
 
   // Sort by absolute value (biggest impact first)
   rows.sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
 
-  // Store for click handler
-  window.categoryData = rows;
+  // Store for click handler (flattened - rows refer to each other by index)
+  window.categoryData = [];
 
   // Categories to exclude from average calculation
   const excludeFromAverage = ['הוצאות משתנות', 'ללא קטגוריה'];
   
-  container.innerHTML = rows.map((row, index) => {
+  const renderRow = (row, depth) => {
+    const index = window.categoryData.push(row) - 1;
+
     // Progress bar for expenses (only show if there's an average and not excluded)
     let progressHtml = '';
     const showAverage = row.average > 0 && row.expenses > 0 && !excludeFromAverage.includes(row.name);
@@ -603,13 +1331,20 @@ async function updateCategoriesSummary(summary) {
         </div>
       `;
     }
+
+    const hasChildren = row.children.length > 0;
+    const expanded = hasChildren && expandedCategories.has(row.id);
+    const toggleHtml = hasChildren
+      ? `<button class="category-toggle" onclick="event.stopPropagation(); toggleCategoryExpand('${row.id}')">${expanded ? '▾' : '◂'}</button>`
+      : '';
     
     return `
-      <div class="category-card" onclick="showCategoryDetails(${index})">
+      <div class="category-card ${depth > 0 ? 'subcategory' : ''}" onclick="showCategoryDetails(${index})">
         <div class="category-row clickable">
           <div class="category-info">
+            ${toggleHtml}
             <span class="category-color" style="background: ${row.color}"></span>
-            <span class="category-name">${row.name}</span>
+            <span class="category-name">${categoryLabel(row)}</span>
             <span class="category-count">(${row.count})</span>
           </div>
           <div class="category-right">
@@ -621,8 +1356,28 @@ async function updateCategoriesSummary(summary) {
         </div>
         ${progressHtml}
       </div>
+      ${hasChildren ? `
+        <div class="category-children ${expanded ? 'expanded' : ''}" data-parent="${row.id}">
+          ${row.children.map(child => renderRow(child, depth + 1)).join('')}
+        </div>
+      ` : ''}
     `;
-  }).join('');
+  };
+
+  container.innerHTML = rows.map(row => renderRow(row, 0)).join('');
+}
+
+function toggleCategoryExpand(categoryId) {
+  if (expandedCategories.has(categoryId)) {
+    expandedCategories.delete(categoryId);
+  } else {
+    expandedCategories.add(categoryId);
+  }
+  const expanded = expandedCategories.has(categoryId);
+  const children = document.querySelector(`.category-children[data-parent="${categoryId}"]`);
+  if (!children) return;
+  children.classList.toggle('expanded', expanded);
+  children.previousElementSibling.querySelector('.category-toggle').textContent = expanded ? '▾' : '◂';
 }
 
 function showCategoryDetails(index) {
@@ -634,7 +1389,7 @@ function showCategoryDetails(index) {
   const summaryEl = document.getElementById('categoryDetailsSummary');
   const listEl = document.getElementById('categoryDetailsList');
 
-  title.innerHTML = `<span class="category-color" style="background: ${data.color}; display: inline-block; width: 12px; height: 12px; border-radius: 50%; margin-left: 8px;"></span>${data.name}`;
+  title.innerHTML = `<span class="category-color" style="background: ${data.color}; display: inline-block; width: 12px; height: 12px; border-radius: 50%; margin-left: 8px;"></span>${categoryLabel(data)}`;
   
   summaryEl.innerHTML = `
     <div class="detail-summary-row">
@@ -649,6 +1404,7 @@ function showCategoryDetails(index) {
       <span>סה"כ</span>
       <span class="${data.net >= 0 ? 'positive' : 'negative'}">${formatCurrency(data.net)}</span>
     </div>
+    <button class="add-tag-btn" onclick="addTagsToCategory(${index})">🏷️ תייג את כל התנועות</button>
   `;
 
   // Sort transactions by date
@@ -708,11 +1464,6 @@ function updateTransactionList(transactions) {
     const amountPrefix = txn.amount >= 0 ? '+' : '';
     const isIncome = txn.amount > 0;
     
-    // Build category select options
-    const categoryOptions = categories.map(c => 
-      `<option value="${c.id}" ${txn.category_id === c.id ? 'selected' : ''}>${c.name}</option>`
-    ).join('');
-    
     // Show memo if exists (contains the details like לטובת, עבור)
     const memoHtml = txn.memo ? `<div class="transaction-memo">${txn.memo}</div>` : '';
     
@@ -732,12 +1483,72 @@ function updateTransactionList(transactions) {
         </button>`
       : '';
     
+    // Pending card charges may still change amount or date
+    const isPending = txn.status === 'pending';
+    const pendingHtml = isPending
+      ? `<span class="pending-badge" title="החיוב טרם נקלט סופית - הסכום עשוי להשתנות">⏳ ממתין</span>`
+      : '';
+    
+    // Original amount for purchases abroad / in foreign currency
+    const foreignHtml = txn.original_currency && txn.original_currency !== 'ILS' && txn.original_amount
+      ? `<div class="transaction-foreign" title="שער: ${txn.exchange_rate || '-'}">
+           ${formatForeignCurrency(Math.abs(txn.original_amount), txn.original_currency)}
+           ${txn.exchange_rate ? `<span class="fx-rate">@${txn.exchange_rate}</span>` : ''}
+         </div>`
+      : '';
+    
+    // Entered by hand - click the badge to edit or delete
+    const manualHtml = txn.source === 'manual'
+      ? `<button class="manual-badge" onclick="editManualByIndex(${index})" title="ערוך תנועה ידנית">✍️ ${txn.account}</button>`
+      : '';
+    
+    // Tags - click a chip for the tag's totals
+    const tagsHtml = `
+      <div class="transaction-tags">
+        ${(txn.tags || []).map(tag => `
+          <span class="tag-chip" data-tag="${escapeHtml(tag)}" onclick="showTagSummary(this.dataset.tag)">
+            #${escapeHtml(tag)}
+            <button class="tag-remove" onclick="event.stopPropagation(); removeTagByIndex(${index}, this.parentElement.dataset.tag)" title="הסר תגית">×</button>
+          </span>
+        `).join('')}
+        <button class="add-tag-btn" onclick="addTagsByIndex(${index})">+ תגית</button>
+      </div>
+    `;
+    
+    // Learned category suggestions - one click assigns the category
+    const suggestions = !txn.category_id && !txn.split_of ? currentSuggestions[txn.id] || [] : [];
+    const suggestionsHtml = suggestions.length > 0
+      ? `<div class="transaction-suggestions">
+           ${suggestions.map(suggestion => `
+             <button class="suggestion-chip" onclick="setCategoryByIndex(${index}, '${suggestion.categoryId}')" title="הצעה לפי תנועות דומות">
+               ✨ ${escapeHtml(suggestion.categoryName)} ${Math.round(suggestion.confidence * 100)}%
+             </button>
+           `).join('')}
+         </div>`
+      : '';
+    
+    // Part of a split transaction - click the badge to edit the split
+    const splitHtml = txn.split_of
+      ? `<button class="split-badge" onclick="editSplitsByIndex(${index})" title="ערוך חלוקה">✂️ חלק מ-${formatCurrency(Math.abs(txn.split_total))}</button>`
+      : `<button class="split-btn" onclick="editSplitsByIndex(${index})" title="פצל בין קטגוריות">✂️</button>`;
+    
+    const itemClasses = [
+      txn.is_occasional_income ? 'occasional' : '',
+      isPending ? 'pending' : '',
+    ].join(' ');
+    
     return `
-      <div class="transaction-item ${txn.is_occasional_income ? 'occasional' : ''}" data-index="${index}">
+      <div class="transaction-item ${itemClasses}" data-index="${index}">
         <div class="transaction-info">
           <div class="transaction-header">
             <span class="transaction-desc">${txn.description || 'תנועה'}</span>
+            ${pendingHtml}
+            ${manualHtml}
+            ${txn.installment_total > 1
+              ? `<span class="installment-badge" title="תשלום ${txn.installment_number} מתוך ${txn.installment_total}">💳 ${txn.installment_number}/${txn.installment_total}</span>`
+              : ''}
             ${occasionalBtn}
+            ${splitHtml}
             <button class="invest-btn" onclick="toggleInvestmentByIndex(${index})" title="סמן כהשקעה">
               📈
             </button>
@@ -747,16 +1558,22 @@ function updateTransactionList(transactions) {
           </div>
           ${memoHtml}
           ${commentHtml}
+          ${tagsHtml}
+          ${suggestionsHtml}
           <div class="transaction-meta">
             <span class="transaction-date">${formatDate(txn.date)}</span>
+            ${txn.processed_date && txn.processed_date !== txn.date
+              ? `<span class="transaction-processed" title="תאריך חיוב">חיוב ${formatDate(txn.processed_date)}</span>`
+              : ''}
             <select class="category-select" onchange="setCategoryByIndex(${index}, this.value)">
               <option value="">קטגוריה...</option>
-              ${categoryOptions}
+              ${categoryOptions(txn.category_id)}
             </select>
           </div>
         </div>
         <div class="transaction-amount ${amountClass}">
           ${amountPrefix}${formatCurrency(txn.amount)}
+          ${foreignHtml}
         </div>
       </div>
     `;
@@ -767,20 +1584,26 @@ async function loadMonth(year, month) {
   document.body.classList.add('loading');
   
   updateMonthDisplay();
+  updateExportLinks();
   
-  // Fetch monthly summary and YTD in parallel
-  const [summary, ytd] = await Promise.all([
+  // Fetch monthly summary, YTD and category suggestions in parallel
+  const [summary, ytd, suggestions] = await Promise.all([
     fetchSummary(year, month),
-    fetchYTD(year)
+    fetchYTD(year),
+    fetchSuggestions(year, month)
   ]);
   
   currentSummary = summary;
+  currentSuggestions = suggestions;
   
   // Update YTD card
   updateYTDCard(ytd);
   
   // Update savings card
   await updateSavingsCard();
+  updateInstallmentsSection();
+  updateForeignSection();
+  updateBalancesSection(summary);
   
   if (summary) {
     updateBalanceCard(summary);
@@ -803,7 +1626,53 @@ async function loadMonth(year, month) {
 // Category Management
 // ===========================================
 
-function showCategoryModal() {
+// Category name with its icon in front (when it has one)
+function categoryLabel(cat) {
+  return cat.icon ? `${cat.icon} ${cat.name}` : cat.name;
+}
+
+function getChildCategories(parentId) {
+  return categories.filter(cat => cat.parent_id === parentId);
+}
+
+// Categories as a tree: parents first, each followed by its subcategories
+function getCategoryTree(parentId = null, depth = 0) {
+  const ids = new Set(categories.map(cat => cat.id));
+  return categories
+    .filter(cat => (parentId ? cat.parent_id === parentId : !cat.parent_id || !ids.has(cat.parent_id)))
+    .flatMap(cat => [{ category: cat, depth }, ...getCategoryTree(cat.id, depth + 1)]);
+}
+
+// <option>s for a category select, subcategories indented under their parent
+function categoryOptions(selectedId, excludeIds = []) {
+  return getCategoryTree()
+    .filter(({ category }) => !excludeIds.includes(category.id))
+    .map(({ category, depth }) =>
+      `<option value="${category.id}" ${category.id === selectedId ? 'selected' : ''}>${'\u00A0\u00A0'.repeat(depth)}${categoryLabel(category)}</option>`
+    ).join('');
+}
+
+// Without a category: create a new one
+function showCategoryModal(category) {
+  editingCategoryId = category ? category.id : null;
+  // A category can't move under itself or its own subcategories
+  const excludeIds = category ? [category.id, ...getCategoryTree(category.id).map(({ category: c }) => c.id)] : [];
+
+  document.getElementById('categoryModalTitle').textContent = category ? 'עריכת קטגוריה' : 'קטגוריה חדשה';
+  document.getElementById('categorySaveBtn').textContent = category ? 'שמור' : 'צור קטגוריה';
+  document.getElementById('categoryName').value = category ? category.name : '';
+  document.getElementById('categoryIcon').value = category ? category.icon || '' : '';
+  document.getElementById('categoryParent').innerHTML = `
+    <option value="">ללא קטגוריית אב</option>
+    ${categoryOptions(category && category.parent_id, excludeIds)}
+  `;
+  if (category) {
+    selectedColor = category.color;
+    document.querySelectorAll('.color-option').forEach(el => {
+      el.classList.toggle('selected', el.dataset.color === category.color);
+    });
+  }
+
   document.getElementById('categoryModal').classList.add('active');
   document.getElementById('categoryName').focus();
 }
@@ -811,6 +1680,15 @@ function showCategoryModal() {
 function hideCategoryModal() {
   document.getElementById('categoryModal').classList.remove('active');
   document.getElementById('categoryName').value = '';
+  document.getElementById('categoryIcon').value = '';
+  editingCategoryId = null;
+}
+
+function editCategory(categoryId) {
+  const category = categories.find(cat => cat.id === categoryId);
+  if (!category) return;
+  hideManageCategoriesModal();
+  showCategoryModal(category);
 }
 
 async function showManageCategoriesModal() {
@@ -828,19 +1706,31 @@ async function showManageCategoriesModal() {
   if (categories.length === 0) {
     listEl.innerHTML = '<p style="text-align: center; color: var(--text-muted);">אין קטגוריות עדיין</p>';
   } else {
-    listEl.innerHTML = categories.map(cat => `
-      <div class="manage-category-item">
-        <div class="manage-category-info">
-          <span class="manage-category-color" style="background: ${cat.color}"></span>
-          <span class="manage-category-name">${cat.name}</span>
+    listEl.innerHTML = getCategoryTree().map(({ category: cat, depth }) => {
+      // A category can't move under itself or its own subcategories
+      const descendants = getCategoryTree(cat.id).map(({ category }) => category.id);
+      return `
+        <div class="manage-category-item" style="margin-right: ${depth * 24}px">
+          <div class="manage-category-info">
+            <span class="manage-category-color" style="background: ${cat.color}"></span>
+            <span class="manage-category-name">${categoryLabel(cat)}</span>
+          </div>
+          <div class="manage-category-actions">
+            <select class="category-select" onchange="setCategoryParent('${cat.id}', this.value)" title="קטגוריית אב">
+              <option value="">ללא קטגוריית אב</option>
+              ${categoryOptions(cat.parent_id, [cat.id, ...descendants])}
+            </select>
+            <button class="edit-category-btn" onclick="editCategory('${cat.id}')">✏️ ערוך</button>
+            <button class="delete-category-btn" onclick="deleteCategory('${cat.id}')">
+              🗑️ מחק
+            </button>
+          </div>
         </div>
-        <button class="delete-category-btn" onclick="deleteCategory('${cat.id}')">
-          🗑️ מחק
-        </button>
-      </div>
-    `).join('');
+      `;
+    }).join('');
   }
   
+  showManageTab('categories');
   modal.classList.add('active');
 }
 
@@ -848,34 +1738,108 @@ function hideManageCategoriesModal() {
   document.getElementById('manageCategoriesModal').classList.remove('active');
 }
 
-async function deleteCategory(categoryId) {
-  if (!confirm('האם למחוק את הקטגוריה? כל התנועות המשויכות יחזרו להיות ללא קטגוריה.')) {
-    return;
-  }
-  
+function showManageTab(tab) {
+  document.querySelectorAll('.manage-tab').forEach(button => {
+    button.classList.toggle('active', button.dataset.tab === tab);
+  });
+  document.getElementById('manageCategoriesTab').style.display = tab === 'categories' ? '' : 'none';
+  document.getElementById('manageRulesTab').style.display = tab === 'rules' ? '' : 'none';
+  document.getElementById('manageSuggestionsTab').style.display = tab === 'suggestions' ? '' : 'none';
+  if (tab === 'rules') renderRules();
+  if (tab === 'suggestions') loadSuggestionSettings();
+}
+
+// Ask where the category's transactions and rules go before deleting it
+function deleteCategory(categoryId) {
+  const category = categories.find(cat => cat.id === categoryId);
+  if (!category) return;
+
+  removingCategoryId = categoryId;
+  document.getElementById('removeCategoryName').textContent = categoryLabel(category);
+  document.getElementById('removeCategoryTarget').innerHTML = `
+    <option value="">להסיר את הקטגוריה מהתנועות ולמחוק את החוקים שלה</option>
+    <optgroup label="להעביר תנועות וחוקים אל:">
+      ${categoryOptions(null, [categoryId])}
+    </optgroup>
+  `;
+  document.getElementById('removeCategoryModal').classList.add('active');
+}
+
+function hideRemoveCategoryModal() {
+  document.getElementById('removeCategoryModal').classList.remove('active');
+  removingCategoryId = null;
+}
+
+async function confirmDeleteCategory() {
+  const categoryId = removingCategoryId;
+  const targetId = document.getElementById('removeCategoryTarget').value;
+
   try {
-    await fetch(`${API_BASE}/api/categories/${categoryId}`, {
-      method: 'DELETE',
-    });
+    if (targetId) {
+      const { status, data } = await apiMergeCategory(categoryId, targetId);
+      if (status !== 200) {
+        alert(data.error || 'שגיאה במיזוג הקטגוריה');
+        return;
+      }
+    } else {
+      await fetch(`${API_BASE}/api/categories/${categoryId}`, {
+        method: 'DELETE',
+      });
+    }
+    hideRemoveCategoryModal();
     await fetchCategories();
-    hideManageCategoriesModal();
+    await showManageCategoriesModal();
     loadMonth(currentYear, currentMonth);
   } catch (error) {
     console.error('Failed to delete category:', error);
   }
 }
 
-async function createCategory() {
+async function setCategoryParent(categoryId, parentId) {
+  try {
+    const { status, data } = await apiSetCategoryParent(categoryId, parentId || null);
+    if (status !== 200) {
+      alert(data.error || 'שגיאה בשינוי קטגוריית האב');
+    }
+    await fetchCategories();
+    await showManageCategoriesModal();
+    loadMonth(currentYear, currentMonth);
+  } catch (error) {
+    console.error('Failed to set category parent:', error);
+  }
+}
+
+async function saveCategory() {
   const name = document.getElementById('categoryName').value.trim();
   if (!name) return;
+  const icon = document.getElementById('categoryIcon').value.trim();
+  const parentId = document.getElementById('categoryParent').value || null;
 
   try {
-    await apiCreateCategory(name, selectedColor);
+    let status;
+    let data;
+    if (editingCategoryId) {
+      const category = categories.find(cat => cat.id === editingCategoryId);
+      ({ status, data } = await apiUpdateCategory(editingCategoryId, { name, color: selectedColor, icon }));
+      if (status === 200 && (category.parent_id || null) !== parentId) {
+        ({ status, data } = await apiSetCategoryParent(editingCategoryId, parentId));
+      }
+    } else {
+      ({ status, data } = await apiCreateCategory(name, selectedColor, parentId, icon));
+    }
+    if (status === 409) {
+      alert(`כבר יש קטגוריה בשם "${name}"`);
+      return;
+    }
+    if (status !== 200) {
+      alert(data.error || 'שגיאה בשמירת הקטגוריה');
+      return;
+    }
     await fetchCategories();
     hideCategoryModal();
     loadMonth(currentYear, currentMonth); // Refresh
   } catch (error) {
-    console.error('Failed to create category:', error);
+    console.error('Failed to save category:', error);
   }
 }
 
@@ -891,6 +1855,7 @@ async function setCategory(txnId, categoryId) {
 async function setCategoryByIndex(index, categoryId) {
   const txn = window.currentTransactions[index];
   if (!txn) return;
+  if (txn.split_of) return updateSplitPart(txn, { categoryId: categoryId || null });
   await setCategory(txn.id, categoryId);
 }
 
@@ -917,6 +1882,7 @@ async function editCommentByIndex(index) {
   const newComment = prompt('הוסף הערה לתנועה:', currentComment);
   
   if (newComment === null) return; // User cancelled
+  if (txn.split_of) return updateSplitPart(txn, { comment: newComment });
   
   try {
     await apiSetComment(txn.id, newComment);
@@ -946,6 +1912,221 @@ async function excludeAllMonth() {
   }
 }
 
+// ===========================================
+// Category Rules
+// ===========================================
+
+const RULE_MATCH_LABELS = {
+  'equals': 'שווה ל',
+  'starts-with': 'מתחיל ב',
+  'contains': 'מכיל',
+  'regex': 'ביטוי רגולרי',
+};
+
+const RULE_EFFECT_LABELS = {
+  categorize: 'יסווגו',
+  recategorize: 'בקטגוריה אחרת',
+  unchanged: 'כבר בקטגוריה',
+  shadowed: 'חוק אחר קובע',
+};
+
+// Conditions of a rule as short text ("₪10-₪200 · Leumi · הוצאות")
+function describeRuleConditions(rule) {
+  const parts = [];
+  if (rule.amount_min != null || rule.amount_max != null) {
+    parts.push(`${rule.amount_min != null ? formatCurrency(rule.amount_min) : ''}–${rule.amount_max != null ? formatCurrency(rule.amount_max) : ''}`);
+  }
+  if (rule.account) parts.push(rule.account);
+  if (rule.direction) parts.push(rule.direction === 'income' ? 'הכנסות' : 'הוצאות');
+  if (rule.priority) parts.push(`עדיפות ${rule.priority}`);
+  return parts.join(' · ');
+}
+
+async function renderRules() {
+  const rules = await fetchRules();
+  window.currentRules = rules;
+  document.getElementById('ruleForm').innerHTML = '';
+
+  const listEl = document.getElementById('manageRulesList');
+  if (rules.length === 0) {
+    listEl.innerHTML = '<p style="text-align: center; color: var(--text-muted);">אין חוקים עדיין</p>';
+    return;
+  }
+
+  listEl.innerHTML = rules.map((rule, index) => `
+    <div class="manage-category-item">
+      <div class="manage-category-info rule-info">
+        <span class="manage-category-color" style="background: ${rule.category_color}"></span>
+        <div>
+          <span class="manage-category-name">${RULE_MATCH_LABELS[rule.match_type]} "${rule.description_pattern}"</span>
+          <span class="manage-category-count">→ ${rule.category_name}${rule.is_auto ? ' · נלמד' : ''}</span>
+          <div class="manage-category-count">${describeRuleConditions(rule)}</div>
+        </div>
+      </div>
+      <div class="vault-actions">
+        <button class="undo-btn" onclick="editRuleByIndex(${index})">✏️</button>
+        <button class="delete-category-btn" onclick="deleteRuleByIndex(${index})">🗑️</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function editRuleByIndex(index) {
+  editRule(window.currentRules[index]);
+}
+
+// Opens the rule form, empty for a new rule
+function editRule(rule = null) {
+  window.currentRule = rule;
+  const shekels = agorot => (agorot != null ? agorot / 100 : '');
+
+  document.getElementById('ruleForm').innerHTML = `
+    <div class="import-grid">
+      <label>התאמה</label>
+      <select id="ruleMatchType">
+        ${Object.entries(RULE_MATCH_LABELS).map(([type, label]) => `
+          <option value="${type}" ${rule && rule.match_type === type ? 'selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+      <label>תיאור</label>
+      <input type="text" id="rulePattern" value="${rule ? rule.description_pattern.replace(/"/g, '&quot;') : ''}" />
+      <label>קטגוריה</label>
+      <select id="ruleCategory">
+        ${categoryOptions(rule && rule.category_id)}
+      </select>
+      <label>סכום מ-₪</label>
+      <input type="number" id="ruleAmountMin" min="0" step="0.01" value="${rule ? shekels(rule.amount_min) : ''}" />
+      <label>סכום עד ₪</label>
+      <input type="number" id="ruleAmountMax" min="0" step="0.01" value="${rule ? shekels(rule.amount_max) : ''}" />
+      <label>חשבון</label>
+      <input type="text" id="ruleAccount" value="${rule && rule.account ? rule.account : ''}" placeholder="כל החשבונות" />
+      <label>כיוון</label>
+      <select id="ruleDirection">
+        <option value="">הכל</option>
+        <option value="expense" ${rule && rule.direction === 'expense' ? 'selected' : ''}>הוצאות</option>
+        <option value="income" ${rule && rule.direction === 'income' ? 'selected' : ''}>הכנסות</option>
+      </select>
+      <label>עדיפות</label>
+      <input type="number" id="rulePriority" step="1" value="${rule ? rule.priority || 0 : 0}" />
+      <label>גם תנועות מסווגות</label>
+      <input type="checkbox" id="ruleOverwrite" />
+    </div>
+    <div class="import-preview" id="rulePreview"></div>
+    <div class="modal-footer">
+      <button class="btn btn-secondary" onclick="renderRules()">ביטול</button>
+      <button class="btn btn-secondary" onclick="previewRule()">תצוגה מקדימה</button>
+      <button class="btn btn-primary" onclick="saveRule()">שמור</button>
+    </div>
+  `;
+  document.getElementById('rulePattern').focus();
+}
+
+function readRuleForm() {
+  const agorot = id => {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : Math.round(parseFloat(value) * 100);
+  };
+  return {
+    matchType: document.getElementById('ruleMatchType').value,
+    pattern: document.getElementById('rulePattern').value.trim(),
+    categoryId: document.getElementById('ruleCategory').value,
+    amountMin: agorot('ruleAmountMin'),
+    amountMax: agorot('ruleAmountMax'),
+    account: document.getElementById('ruleAccount').value.trim() || null,
+    direction: document.getElementById('ruleDirection').value || null,
+    priority: parseInt(document.getElementById('rulePriority').value) || 0,
+  };
+}
+
+async function previewRule() {
+  const rule = window.currentRule;
+  const { status, data } = await apiPreviewRule({ ...readRuleForm(), ruleId: rule ? rule.id : undefined });
+  const previewEl = document.getElementById('rulePreview');
+  if (status !== 200) {
+    previewEl.innerHTML = `<div class="import-error">${data.error}</div>`;
+    return;
+  }
+
+  const counts = Object.entries(data.counts)
+    .filter(([, count]) => count > 0)
+    .map(([effect, count]) => `${count} ${RULE_EFFECT_LABELS[effect]}`)
+    .join(', ');
+  const rows = data.matches.slice(0, 20).map(txn => `
+    <tr>
+      <td>${formatDate(txn.date)}</td>
+      <td>${txn.description}</td>
+      <td class="${txn.amount > 0 ? 'income' : 'expense'}">${formatCurrency(txn.amount)}</td>
+      <td class="rule-effect ${txn.effect}">${txn.effect === 'recategorize' ? txn.category_name : RULE_EFFECT_LABELS[txn.effect]}</td>
+    </tr>
+  `).join('');
+
+  previewEl.innerHTML = `
+    <p class="import-count">${data.matches.length} תנועות מתאימות${counts ? ` (${counts})` : ''}</p>
+    ${rows ? `<table class="import-table"><tbody>${rows}</tbody></table>` : ''}
+  `;
+}
+
+async function saveRule() {
+  const rule = window.currentRule;
+  const overwrite = document.getElementById('ruleOverwrite').checked;
+  const { status, data } = await apiSaveRule(rule ? rule.id : null, { ...readRuleForm(), overwrite });
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+
+  await renderRules();
+  if (data.applied > 0) loadMonth(currentYear, currentMonth);
+}
+
+async function deleteRuleByIndex(index) {
+  const rule = window.currentRules[index];
+  if (!confirm(`למחוק את החוק "${rule.description_pattern}"? התנועות ישמרו על הקטגוריה שלהן.`)) return;
+
+  await apiDeleteRule(rule.id);
+  renderRules();
+}
+
+// ===========================================
+// Category Suggestions
+// ===========================================
+
+async function loadSuggestionSettings() {
+  const settings = await fetchSuggestionSettings();
+  document.getElementById('suggestionsAutoApply').checked = settings.autoApply;
+  document.getElementById('suggestionsMinConfidence').value = Math.round(settings.minConfidence * 100);
+}
+
+// Threshold is entered as a percentage
+function readMinConfidence() {
+  return parseFloat(document.getElementById('suggestionsMinConfidence').value) / 100;
+}
+
+async function saveSuggestionSettings() {
+  const { status, data } = await apiSaveSuggestionSettings({
+    autoApply: document.getElementById('suggestionsAutoApply').checked,
+    minConfidence: readMinConfidence(),
+  });
+  if (status !== 200) {
+    alert('סף הביטחון חייב להיות בין 50% ל-100%');
+    return;
+  }
+  document.getElementById('suggestionsMinConfidence').value = Math.round(data.minConfidence * 100);
+}
+
+async function applySuggestionsNow() {
+  const minConfidence = readMinConfidence();
+  if (!confirm(`לסווג את כל התנועות ללא קטגוריה שההצעה הראשונה שלהן בביטחון ${Math.round(minConfidence * 100)}% ומעלה?`)) return;
+
+  const { status, data } = await apiApplySuggestions(minConfidence);
+  if (status !== 200) {
+    alert('סף הביטחון חייב להיות בין 50% ל-100%');
+    return;
+  }
+  alert(`סווגו ${data.applied} תנועות`);
+  if (data.applied > 0) loadMonth(currentYear, currentMonth);
+}
+
 // ===========================================
 // UI Helpers
 // ===========================================
@@ -986,6 +2167,816 @@ function goToNextMonth() {
   loadMonth(currentYear, currentMonth);
 }
 
+// ===========================================
+// CSV Import
+// ===========================================
+
+const IMPORT_DATE_FORMATS = ['DD/MM/YYYY', 'DD/MM/YY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY'];
+
+const IMPORT_COLUMNS = [
+  { key: 'date', label: 'תאריך' },
+  { key: 'amount', label: 'סכום (עם סימן)', mode: 'signed' },
+  { key: 'debit', label: 'חובה', mode: 'debitCredit' },
+  { key: 'credit', label: 'זכות', mode: 'debitCredit' },
+  { key: 'description', label: 'תיאור' },
+  { key: 'memo', label: 'הערה' },
+  { key: 'processedDate', label: 'תאריך חיוב' },
+  { key: 'identifier', label: 'אסמכתא' },
+];
+
+async function showImportModal() {
+  importText = '';
+  importFormat = 'csv';
+  importHeaders = [];
+  importColumnCount = 0;
+  document.getElementById('importFile').value = '';
+  document.getElementById('importPreview').innerHTML = '';
+  document.getElementById('importCommitBtn').disabled = true;
+
+  importPresets = await fetchImportPresets();
+  document.getElementById('importPreset').innerHTML = `
+    <option value="">— מיפוי חדש —</option>
+    ${importPresets.map((p, i) => `<option value="${i}">${escapeHtml(p.name)}${p.bank ? ` (${escapeHtml(p.bank)})` : ''}</option>`).join('')}
+  `;
+
+  renderImportOptions({});
+  document.getElementById('importModal').classList.add('active');
+}
+
+function hideImportModal() {
+  document.getElementById('importModal').classList.remove('active');
+}
+
+// CSV needs a column mapping, QIF only a date format, OFX nothing
+function renderImportOptions(mapping) {
+  document.getElementById('importPresetRow').style.display = importFormat === 'csv' ? 'flex' : 'none';
+
+  if (importFormat === 'csv') {
+    renderImportMapping(mapping);
+  } else if (importFormat === 'qif') {
+    document.getElementById('importMapping').innerHTML = `
+      <div class="import-grid">
+        <label>פורמט תאריך</label>
+        <select id="importDateFormat" onchange="previewImport()">
+          ${IMPORT_DATE_FORMATS.map(f => `<option ${mapping.dateFormat === f ? 'selected' : ''}>${f}</option>`).join('')}
+        </select>
+      </div>
+    `;
+  } else {
+    document.getElementById('importMapping').innerHTML = '';
+  }
+}
+
+function renderImportMapping(mapping) {
+  const columns = mapping.columns || {};
+  const hasHeader = mapping.hasHeader !== false;
+  const amountMode = mapping.amountMode || 'signed';
+  const delimiter = mapping.delimiter === '\t' ? '\\t' : mapping.delimiter || '';
+
+  // Header names when the file has a header row, else column numbers
+  // (header names come from the file - escaped wherever they're shown)
+  const options = hasHeader && importHeaders.length > 0
+    ? importHeaders.map(h => ({ value: h, label: h }))
+    : Array.from({ length: importColumnCount }, (_, i) => ({ value: String(i), label: `עמודה ${i + 1}` }));
+
+  const columnSelect = (key) => `
+    <select data-column="${key}">
+      <option value="">—</option>
+      ${options.map(o => `
+        <option value="${escapeHtml(o.value)}" ${String(columns[key]) === o.value ? 'selected' : ''}>${escapeHtml(o.label)}</option>
+      `).join('')}
+    </select>
+  `;
+
+  document.getElementById('importMapping').innerHTML = `
+    <div class="import-grid">
+      <label>מפריד</label>
+      <select id="importDelimiter">
+        ${[['', 'אוטומטי'], [',', ','], [';', ';'], ['\t', 'Tab'], ['|', '|']].map(([value, label]) => `
+          <option value="${value}" ${delimiter === value ? 'selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+      <label>שורות לדלג</label>
+      <input type="number" id="importSkipRows" min="0" value="${mapping.skipRows || 0}" />
+      <label>שורת כותרת</label>
+      <input type="checkbox" id="importHasHeader" ${hasHeader ? 'checked' : ''} onchange="previewImport()" />
+      <label>פורמט תאריך</label>
+      <select id="importDateFormat">
+        ${IMPORT_DATE_FORMATS.map(f => `<option ${mapping.dateFormat === f ? 'selected' : ''}>${f}</option>`).join('')}
+      </select>
+      <label>סכומים</label>
+      <select id="importAmountMode" onchange="renderImportMapping(readImportMapping())">
+        <option value="signed" ${amountMode === 'signed' ? 'selected' : ''}>עמודה אחת עם סימן</option>
+        <option value="debitCredit" ${amountMode === 'debitCredit' ? 'selected' : ''}>חובה / זכות</option>
+      </select>
+      <label>הפוך סימן</label>
+      <input type="checkbox" id="importInvertSign" ${mapping.invertSign ? 'checked' : ''} />
+      ${IMPORT_COLUMNS.filter(c => !c.mode || c.mode === amountMode).map(c => `
+        <label>${c.label}</label>
+        ${columnSelect(c.key)}
+      `).join('')}
+    </div>
+  `;
+}
+
+function readImportMapping() {
+  const columns = {};
+  document.querySelectorAll('#importMapping [data-column]').forEach(select => {
+    if (select.value !== '') columns[select.dataset.column] = select.value;
+  });
+
+  const delimiter = document.getElementById('importDelimiter').value;
+  return {
+    delimiter: delimiter === '\\t' ? '\t' : delimiter || undefined,
+    skipRows: parseInt(document.getElementById('importSkipRows').value) || 0,
+    hasHeader: document.getElementById('importHasHeader').checked,
+    dateFormat: document.getElementById('importDateFormat').value,
+    amountMode: document.getElementById('importAmountMode').value,
+    invertSign: document.getElementById('importInvertSign').checked,
+    columns,
+  };
+}
+
+function readImportDateFormat() {
+  const select = document.getElementById('importDateFormat');
+  return select ? select.value : undefined;
+}
+
+async function loadImportFile() {
+  const file = document.getElementById('importFile').files[0];
+  if (!file) return;
+  importText = await file.text();
+
+  // Keep the CSV mapping chosen so far when switching between CSV files
+  const previousFormat = importFormat;
+  const extension = file.name.split('.').pop().toLowerCase();
+  importFormat = extension === 'qfx' ? 'ofx' : ['ofx', 'qif'].includes(extension) ? extension : 'csv';
+  renderImportOptions(importFormat === 'csv' && previousFormat === 'csv' ? readImportMapping() : {});
+  await previewImport();
+}
+
+function applyImportPreset() {
+  const index = document.getElementById('importPreset').value;
+  if (index === '') return;
+  const preset = importPresets[index];
+  if (preset.bank && !document.getElementById('importAccount').value) {
+    document.getElementById('importAccount').value = preset.bank;
+  }
+  renderImportMapping(preset.mapping);
+  if (importText) previewImport();
+}
+
+async function previewImport() {
+  if (!importText) return;
+
+  const mapping = importFormat === 'csv' ? readImportMapping() : null;
+  const { status, data } = mapping
+    ? await apiImportCsv({ csv: importText, mapping })
+    : await apiImportStatement(importFormat, { content: importText, dateFormat: readImportDateFormat() });
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+
+  if (mapping) {
+    // Re-render the column pickers for the file's columns, keeping the choices
+    importHeaders = data.headers;
+    importColumnCount = Math.max(data.headers.length, ...data.sample.map(row => row.length));
+    renderImportMapping(mapping);
+  } else if (data.accountIds && data.accountIds.length > 0) {
+    document.getElementById('importAccount').placeholder = `שם החשבון (בקובץ: ${data.accountIds.join(', ')})`;
+  }
+
+  // Descriptions and errors come from the file (CSV cells, OFX <NAME>, QIF P lines) - escape them
+  const previewEl = document.getElementById('importPreview');
+  const errors = data.errors.map(e => `
+    <div class="import-error">${e.line ? `שורה ${e.line}: ` : ''}${escapeHtml(e.error)}</div>
+  `).join('');
+  const rows = data.transactions.slice(0, 20).map(txn => `
+    <tr>
+      <td>${formatDate(txn.date)}</td>
+      <td>${escapeHtml(txn.description)}</td>
+      <td class="${txn.amount > 0 ? 'income' : 'expense'}">${formatCurrency(txn.amount)}</td>
+    </tr>
+  `).join('');
+
+  previewEl.innerHTML = `
+    <p class="import-count">${data.transactions.length} תנועות לייבוא${data.errors.length ? `, ${data.errors.length} שגיאות` : ''}</p>
+    ${errors}
+    ${rows ? `<table class="import-table"><tbody>${rows}</tbody></table>` : ''}
+  `;
+  document.getElementById('importCommitBtn').disabled = data.transactions.length === 0;
+}
+
+async function saveImportPreset() {
+  const name = prompt('שם למיפוי:');
+  if (!name) return;
+  const bank = document.getElementById('importAccount').value.trim();
+  await apiSaveImportPreset(name, bank, readImportMapping());
+  importPresets = await fetchImportPresets();
+  alert('המיפוי נשמר');
+}
+
+async function commitImport() {
+  const account = document.getElementById('importAccount').value.trim();
+  if (!account) {
+    alert('יש להזין שם חשבון');
+    return;
+  }
+
+  const { status, data } = importFormat === 'csv'
+    ? await apiImportCsv({ csv: importText, mapping: readImportMapping(), account, commit: true })
+    : await apiImportStatement(importFormat, {
+      content: importText,
+      dateFormat: readImportDateFormat(),
+      account,
+      commit: true,
+    });
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+
+  alert(`יובאו ${data.inserted} תנועות חדשות, ${data.updated} עודכנו`);
+  hideImportModal();
+  await Promise.all([fetchMonths(), fetchCategories()]);
+  loadMonth(currentYear, currentMonth);
+}
+
+// ===========================================
+// Manual Transactions
+// ===========================================
+
+// Opens the quick-add form, or the edit form when given a manual transaction
+function showManualModal(txn = null) {
+  window.currentManualTransaction = txn;
+  const today = new Date();
+  const todayString = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+  document.getElementById('manualTitle').textContent = txn ? 'עריכת תנועה ידנית' : 'תנועה ידנית';
+  document.querySelector(`input[name="manualKind"][value="${txn && txn.amount > 0 ? 'income' : 'expense'}"]`).checked = true;
+  document.getElementById('manualAmount').value = txn ? Math.abs(txn.amount) / 100 : '';
+  document.getElementById('manualDescription').value = txn ? txn.description : '';
+  document.getElementById('manualDate').value = txn ? txn.date : todayString;
+  document.getElementById('manualAccount').value = txn ? txn.account : '';
+  document.getElementById('manualComment').value = txn ? txn.user_comment || '' : '';
+  document.getElementById('manualTransfer').checked = !!(txn && txn.is_transfer);
+  document.getElementById('manualInvestment').checked = !!(txn && txn.is_investment);
+  document.getElementById('manualOccasional').checked = !!(txn && txn.is_occasional_income);
+  document.getElementById('manualCategory').innerHTML = `
+    <option value="">קטגוריה...</option>
+    ${categoryOptions(txn && txn.category_id)}
+  `;
+  document.getElementById('manualDeleteBtn').style.display = txn ? '' : 'none';
+
+  document.getElementById('manualModal').classList.add('active');
+  document.getElementById('manualAmount').focus();
+}
+
+function hideManualModal() {
+  document.getElementById('manualModal').classList.remove('active');
+}
+
+function editManualByIndex(index) {
+  const txn = window.currentTransactions[index];
+  if (txn) showManualModal(txn);
+}
+
+async function saveManualTransaction() {
+  const shekels = parseFloat(document.getElementById('manualAmount').value);
+  if (!shekels || shekels <= 0) {
+    alert('יש להזין סכום');
+    return;
+  }
+  const isIncome = document.querySelector('input[name="manualKind"]:checked').value === 'income';
+
+  const fields = {
+    date: document.getElementById('manualDate').value,
+    amount: Math.round(shekels * 100) * (isIncome ? 1 : -1),
+    description: document.getElementById('manualDescription').value.trim(),
+    account: document.getElementById('manualAccount').value.trim(),
+    categoryId: document.getElementById('manualCategory').value || null,
+    comment: document.getElementById('manualComment').value.trim(),
+    isTransfer: document.getElementById('manualTransfer').checked,
+    isInvestment: document.getElementById('manualInvestment').checked,
+    isOccasionalIncome: isIncome && document.getElementById('manualOccasional').checked,
+  };
+
+  const txn = window.currentManualTransaction;
+  const { status, data } = txn
+    ? await apiUpdateManualTransaction(txn.id, fields)
+    : await apiCreateManualTransaction(fields);
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+
+  hideManualModal();
+  await fetchMonths();
+  loadMonth(currentYear, currentMonth);
+}
+
+async function deleteManualTransaction() {
+  const txn = window.currentManualTransaction;
+  if (!txn || !confirm('למחוק את התנועה?')) return;
+
+  await apiDeleteManualTransaction(txn.id);
+  hideManualModal();
+  await fetchMonths();
+  loadMonth(currentYear, currentMonth);
+}
+
+// ===========================================
+// Transaction Splits
+// ===========================================
+
+// Splits as the API takes them
+function splitFields(split) {
+  return {
+    amount: split.amount,
+    categoryId: split.category_id,
+    comment: split.user_comment,
+    isInvestment: !!split.is_investment,
+    isOccasionalIncome: !!split.is_occasional_income,
+  };
+}
+
+// The difference left when a pending charge completed with another amount, as a
+// part in the transaction's category (null when the parts still add up)
+function splitLeftover(transaction, splits) {
+  const leftover = transaction.amount - splits.reduce((sum, split) => sum + split.amount, 0);
+  return leftover === 0 ? null : { amount: leftover, category_id: transaction.category_id };
+}
+
+// Change one part of a split from the transaction list - the whole split is
+// saved again, with the leftover (if any) as a part of its own
+async function updateSplitPart(txn, changes) {
+  try {
+    const { transaction, splits } = await fetchSplits(txn.split_of);
+    const parts = splits.map(split =>
+      split.id === txn.split_id ? { ...splitFields(split), ...changes } : splitFields(split)
+    );
+
+    const leftover = splitLeftover(transaction, splits);
+    if (leftover) {
+      // The charge shrank below the parts - only the split form can fix that
+      if (Math.sign(leftover.amount) !== Math.sign(transaction.amount)) return editSplits(txn);
+      parts.push({ ...splitFields(leftover), ...(txn.split_id ? {} : changes) });
+    }
+
+    const { status, data } = await apiSaveSplits(txn.split_of, parts);
+    if (status !== 200) {
+      alert(data.error);
+      return;
+    }
+    await loadMonth(currentYear, currentMonth);
+  } catch (error) {
+    console.error('Failed to update split:', error);
+  }
+}
+
+function editSplitsByIndex(index) {
+  const txn = window.currentTransactions[index];
+  if (txn) editSplits(txn);
+}
+
+// Opens the split form for a transaction (or for the parent of a part)
+async function editSplits(txn) {
+  const parent = {
+    id: txn.split_of || txn.id,
+    description: txn.description,
+    amount: txn.split_of ? txn.split_total : txn.amount,
+    category_id: txn.split_of ? null : txn.category_id,
+  };
+  window.currentSplitTransaction = parent;
+
+  const { transaction, splits } = await fetchSplits(parent.id);
+  document.getElementById('splitTitle').textContent = `✂️ ${parent.description || 'תנועה'}`;
+  document.getElementById('splitTotal').textContent = formatCurrency(Math.abs(parent.amount));
+  document.getElementById('splitRows').innerHTML = '';
+  if (splits.length > 0) {
+    splits.forEach(split => addSplitRow(split));
+    // Start balanced when the charge grew since it was split
+    const leftover = splitLeftover(transaction, splits);
+    if (leftover && Math.sign(leftover.amount) === Math.sign(transaction.amount)) addSplitRow(leftover);
+  } else {
+    // Start with the whole amount in the transaction's category, and an empty part
+    addSplitRow({ amount: parent.amount, category_id: parent.category_id });
+    addSplitRow();
+  }
+  document.getElementById('splitRemoveBtn').style.display = splits.length > 0 ? '' : 'none';
+  updateSplitRemaining();
+
+  document.getElementById('splitModal').classList.add('active');
+}
+
+function hideSplitModal() {
+  document.getElementById('splitModal').classList.remove('active');
+}
+
+function addSplitRow(split = {}) {
+  const isIncome = window.currentSplitTransaction.amount > 0;
+  const row = document.createElement('div');
+  row.className = 'split-row';
+  row.innerHTML = `
+    <input type="number" class="split-amount" placeholder="סכום (₪)" min="0" step="0.01" inputmode="decimal"
+      value="${split.amount ? Math.abs(split.amount) / 100 : ''}" oninput="updateSplitRemaining()" />
+    <select class="split-category">
+      <option value="">קטגוריה...</option>
+      ${categoryOptions(split.category_id)}
+    </select>
+    <input type="text" class="split-comment" placeholder="הערה" value="${split.user_comment || ''}" />
+    <label title="השקעה"><input type="checkbox" class="split-investment" ${split.is_investment ? 'checked' : ''} /> 📈</label>
+    ${isIncome
+      ? `<label title="הכנסה לא קבועה"><input type="checkbox" class="split-occasional" ${split.is_occasional_income ? 'checked' : ''} /> 🎁</label>`
+      : ''}
+    <button class="split-remove" onclick="this.parentElement.remove(); updateSplitRemaining()" title="הסר חלק">×</button>
+  `;
+  document.getElementById('splitRows').appendChild(row);
+}
+
+// Read the form (amounts in agorot, with the transaction's sign)
+function readSplitRows() {
+  const sign = window.currentSplitTransaction.amount > 0 ? 1 : -1;
+  return [...document.querySelectorAll('#splitRows .split-row')].map(row => {
+    const occasional = row.querySelector('.split-occasional');
+    return {
+      amount: Math.round((parseFloat(row.querySelector('.split-amount').value) || 0) * 100) * sign,
+      categoryId: row.querySelector('.split-category').value || null,
+      comment: row.querySelector('.split-comment').value.trim(),
+      isInvestment: row.querySelector('.split-investment').checked,
+      isOccasionalIncome: !!(occasional && occasional.checked),
+    };
+  });
+}
+
+function updateSplitRemaining() {
+  const total = window.currentSplitTransaction.amount;
+  const remaining = total - readSplitRows().reduce((sum, split) => sum + split.amount, 0);
+  const el = document.getElementById('splitRemaining');
+  el.textContent = remaining === 0 ? 'החלוקה מאוזנת ✓' : `נותר לחלק: ${formatCurrency(Math.abs(remaining))}`;
+  el.className = `split-remaining ${remaining === 0 ? 'balanced' : ''}`;
+}
+
+async function saveSplits() {
+  const parent = window.currentSplitTransaction;
+  const splits = readSplitRows().filter(split => split.amount !== 0);
+
+  const { status, data } = await apiSaveSplits(parent.id, splits);
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+  hideSplitModal();
+  loadMonth(currentYear, currentMonth);
+}
+
+async function removeSplits() {
+  const parent = window.currentSplitTransaction;
+  if (!confirm('לבטל את החלוקה? התנועה תיספר שוב כולה בקטגוריה שלה.')) return;
+
+  await apiSaveSplits(parent.id, []);
+  hideSplitModal();
+  loadMonth(currentYear, currentMonth);
+}
+
+// ===========================================
+// Tags
+// ===========================================
+
+// Ask for tags ("חופשה באילת 2025, החזר מהעבודה") and add them to transactions
+async function promptAndAddTags(transactionIds) {
+  const input = prompt('תגיות (מופרדות בפסיק):');
+  if (!input) return;
+  const tags = input.split(',').map(tag => tag.trim()).filter(Boolean);
+  if (tags.length === 0) return;
+
+  const { status, data } = await apiUpdateTags(transactionIds, { add: tags });
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+  await loadMonth(currentYear, currentMonth);
+}
+
+async function addTagsByIndex(index) {
+  const txn = window.currentTransactions[index];
+  if (!txn) return;
+  await promptAndAddTags([txn.id]);
+}
+
+// Bulk: tag every transaction in a category row of the summary
+async function addTagsToCategory(index) {
+  const data = window.categoryData[index];
+  if (!data) return;
+  // Split parts share their transaction's ID
+  await promptAndAddTags([...new Set(data.transactions.map(txn => txn.id))]);
+  hideCategoryDetailsModal();
+}
+
+async function removeTagByIndex(index, tag) {
+  const txn = window.currentTransactions[index];
+  if (!txn) return;
+
+  try {
+    await apiUpdateTags([txn.id], { remove: [tag] });
+    await loadMonth(currentYear, currentMonth);
+  } catch (error) {
+    console.error('Failed to remove tag:', error);
+  }
+}
+
+function showTagSummary(tag) {
+  window.currentTag = tag;
+  document.getElementById('tagTitle').textContent = `#${tag}`;
+  document.getElementById('tagFrom').value = '';
+  document.getElementById('tagTo').value = '';
+  document.getElementById('tagModal').classList.add('active');
+  loadTagSummary();
+}
+
+function hideTagModal() {
+  document.getElementById('tagModal').classList.remove('active');
+}
+
+async function loadTagSummary() {
+  const from = document.getElementById('tagFrom').value;
+  const to = document.getElementById('tagTo').value;
+  const summary = await fetchTagSummary(window.currentTag, from, to);
+
+  const categoryMap = {};
+  for (const cat of categories) {
+    categoryMap[cat.id] = cat;
+  }
+
+  const categoryRows = Object.entries(summary.byCategory)
+    .map(([catId, data]) => ({ ...data, category: categoryMap[catId], net: data.income - data.expenses }))
+    .sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+
+  document.getElementById('tagSummary').innerHTML = `
+    ${summary.firstDate ? `<div class="detail-summary-row"><span>תקופה</span><span>${formatDate(summary.firstDate)} - ${formatDate(summary.lastDate)}</span></div>` : ''}
+    <div class="detail-summary-row">
+      <span>הכנסות</span>
+      <span class="positive">${formatCurrency(summary.income)}</span>
+    </div>
+    <div class="detail-summary-row">
+      <span>הוצאות</span>
+      <span class="negative">${formatCurrency(summary.expenses)}</span>
+    </div>
+    ${summary.investmentTotal ? `<div class="detail-summary-row"><span>השקעות</span><span>${formatCurrency(summary.investmentTotal)}</span></div>` : ''}
+    ${categoryRows.map(row => `
+      <div class="detail-summary-row tag-category">
+        <span>${row.category ? categoryLabel(row.category) : 'ללא קטגוריה'} (${row.transactionCount})</span>
+        <span class="${row.net >= 0 ? 'positive' : 'negative'}">${formatCurrency(row.net)}</span>
+      </div>
+    `).join('')}
+    <div class="detail-summary-row total">
+      <span>סה"כ</span>
+      <span class="${summary.balance >= 0 ? 'positive' : 'negative'}">${formatCurrency(summary.balance)}</span>
+    </div>
+  `;
+
+  document.getElementById('tagTransactions').innerHTML = summary.transactions.map(txn => `
+    <div class="detail-transaction">
+      <div class="detail-txn-info">
+        <span class="detail-txn-desc">${txn.description || 'תנועה'}</span>
+        ${txn.user_comment ? `<span class="detail-txn-comment">💬 ${txn.user_comment}</span>` : ''}
+        <span class="detail-txn-date">${formatDate(txn.date)} · ${txn.account}</span>
+      </div>
+      <span class="detail-txn-amount ${txn.amount >= 0 ? 'positive' : 'negative'}">${formatCurrency(txn.amount)}</span>
+    </div>
+  `).join('') || '<p style="text-align: center; color: var(--text-muted);">אין תנועות בטווח הזה</p>';
+}
+
+async function deleteTag() {
+  const tag = window.currentTag;
+  if (!confirm(`להסיר את התגית #${tag} מכל התנועות?`)) return;
+
+  await apiDeleteTag(tag);
+  hideTagModal();
+  loadMonth(currentYear, currentMonth);
+}
+
+// ===========================================
+// Backup & Restore
+// ===========================================
+
+const BACKUP_TABLE_NAMES = {
+  categories: 'קטגוריות',
+  category_rules: 'חוקי קטגוריות',
+  settings: 'הגדרות',
+  transactions: 'תנועות',
+  transaction_splits: 'חלוקות תנועות',
+  import_presets: 'מיפויי ייבוא',
+  account_balances: 'היסטוריית יתרות',
+};
+
+async function showBackupModal() {
+  backupData = null;
+  document.getElementById('backupFile').value = '';
+  document.getElementById('backupPreview').innerHTML = '';
+  document.getElementById('restoreBtn').disabled = true;
+
+  const backups = await fetchAutoBackups();
+  document.getElementById('autoBackups').innerHTML = backups.length === 0
+    ? '<p class="manage-note">עדיין אין גיבויים אוטומטיים</p>'
+    : backups.map(b => `
+      <div class="auto-backup">
+        <span>${new Date(b.createdAt).toLocaleString('he-IL')}</span>
+        <span class="auto-backup-size">${Math.round(b.size / 1024)} KB</span>
+        <a href="/api/backups/${encodeURIComponent(b.file)}">הורד</a>
+      </div>
+    `).join('');
+
+  document.getElementById('backupModal').classList.add('active');
+}
+
+function hideBackupModal() {
+  document.getElementById('backupModal').classList.remove('active');
+}
+
+async function loadBackupFile() {
+  const file = document.getElementById('backupFile').files[0];
+  if (!file) return;
+
+  try {
+    backupData = JSON.parse(await file.text());
+  } catch (error) {
+    backupData = null;
+    alert('הקובץ אינו JSON תקין');
+    return;
+  }
+  await previewRestore();
+}
+
+async function previewRestore() {
+  if (!backupData) return;
+
+  const mode = document.getElementById('backupMode').value;
+  const { status, data } = await apiRestoreBackup({ backup: backupData, mode });
+  const previewEl = document.getElementById('backupPreview');
+  if (status !== 200) {
+    previewEl.innerHTML = `<div class="import-error">${data.error}</div>`;
+    document.getElementById('restoreBtn').disabled = true;
+    return;
+  }
+
+  const rows = Object.entries(data.tables).map(([table, diff]) => `
+    <tr>
+      <td>${BACKUP_TABLE_NAMES[table] || table}</td>
+      <td class="income">+${diff.added}</td>
+      <td>~${diff.changed}</td>
+      <td class="expense">−${diff.removed}</td>
+      <td class="backup-unchanged">${diff.unchanged} ללא שינוי</td>
+    </tr>
+  `).join('');
+
+  previewEl.innerHTML = `
+    <p class="import-count">גיבוי מ-${new Date(data.createdAt).toLocaleString('he-IL')} (גרסה ${data.version})</p>
+    ${data.matchedCategories ? `<p class="manage-note">${data.matchedCategories} קטגוריות הותאמו לפי שם</p>` : ''}
+    <table class="import-table"><tbody>${rows}</tbody></table>
+  `;
+  document.getElementById('restoreBtn').disabled = false;
+}
+
+async function commitRestore() {
+  const mode = document.getElementById('backupMode').value;
+  if (mode === 'replace' && !confirm('החלפה תמחק נתונים שאינם בגיבוי. להמשיך?')) return;
+
+  const { status, data } = await apiRestoreBackup({ backup: backupData, mode, commit: true });
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+
+  alert('הגיבוי שוחזר');
+  hideBackupModal();
+  await Promise.all([fetchMonths(), fetchCategories()]);
+  loadMonth(currentYear, currentMonth);
+}
+
+// ===========================================
+// Credential Vault
+// ===========================================
+
+async function showVaultModal() {
+  const vault = await fetchVault();
+  if (!vault) return;
+
+  const body = document.getElementById('vaultBody');
+  window.currentVaultAccounts = vault.accounts;
+
+  if (!vault.unlocked) {
+    body.innerHTML = `
+      <p class="manage-note">${vault.initialized
+        ? 'הכספת נעולה. הזן את סיסמת האב כדי לנהל את פרטי ההתחברות.'
+        : 'בחר סיסמת אב. פרטי ההתחברות יישמרו מוצפנים בה, והערכים מ-.env יועברו אליה.'}</p>
+      <input type="password" id="vaultPassphrase" placeholder="סיסמת אב" />
+      <div class="modal-footer">
+        <button class="btn btn-primary" onclick="unlockVault()">${vault.initialized ? 'פתח' : 'צור כספת'}</button>
+      </div>
+    `;
+  } else {
+    const sourceLabels = { vault: '🔐 בכספת', env: '📄 .env' };
+    body.innerHTML = `
+      <div class="manage-categories-list">
+        ${vault.accounts.map((account, index) => `
+          <div class="vault-account" id="vaultAccount${index}">
+            <div class="manage-category-item">
+              <div class="manage-category-info">
+                <span class="manage-category-name">${account.name}</span>
+                <span class="manage-category-count">${account.provider}</span>
+                <span class="vault-source ${account.missing.length > 0 ? 'missing' : ''}">
+                  ${account.missing.length > 0 ? '⚠ חסר' : sourceLabels[account.credentialSource]}
+                </span>
+              </div>
+              <div class="vault-actions">
+                <button class="undo-btn" onclick="editCredentialsByIndex(${index})">✏️ עדכן</button>
+                ${account.credentialSource === 'vault' ? `
+                  <button class="delete-category-btn" onclick="deleteCredentialsByIndex(${index})">🗑️ מחק</button>
+                ` : ''}
+              </div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="lockVault()">🔒 נעל כספת</button>
+      </div>
+    `;
+  }
+
+  document.getElementById('vaultModal').classList.add('active');
+}
+
+function hideVaultModal() {
+  document.getElementById('vaultModal').classList.remove('active');
+}
+
+async function unlockVault() {
+  const passphrase = document.getElementById('vaultPassphrase').value;
+  if (!passphrase) return;
+
+  const { status, data } = await apiUnlockVault(passphrase);
+  if (status !== 200) {
+    if (status === 429) {
+      alert('יותר מדי ניסיונות שגויים - נסה שוב בעוד 15 דקות');
+      return;
+    }
+    alert(status === 401 ? 'סיסמה שגויה' : data.error);
+    return;
+  }
+  showVaultModal();
+}
+
+async function lockVault() {
+  await apiLockVault();
+  hideVaultModal();
+}
+
+function editCredentialsByIndex(index) {
+  const account = window.currentVaultAccounts[index];
+  const container = document.getElementById(`vaultAccount${index}`);
+  if (container.querySelector('.vault-form')) return;
+
+  container.insertAdjacentHTML('beforeend', `
+    <div class="vault-form">
+      ${account.loginFields.map(field => `
+        <input type="password" data-field="${field}" placeholder="${field}" autocomplete="off" />
+      `).join('')}
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="showVaultModal()">ביטול</button>
+        <button class="btn btn-primary" onclick="saveCredentialsByIndex(${index})">שמור</button>
+      </div>
+    </div>
+  `);
+}
+
+async function saveCredentialsByIndex(index) {
+  const account = window.currentVaultAccounts[index];
+  const inputs = document.querySelectorAll(`#vaultAccount${index} .vault-form input`);
+  const credentials = {};
+  inputs.forEach(input => {
+    credentials[input.dataset.field] = input.value;
+  });
+
+  const { status, data } = await apiSaveCredentials(account.name, credentials);
+  if (status !== 200) {
+    alert(data.error);
+    return;
+  }
+  showVaultModal();
+}
+
+async function deleteCredentialsByIndex(index) {
+  const account = window.currentVaultAccounts[index];
+  if (!confirm(`למחוק את פרטי ההתחברות של ${account.name} מהכספת?`)) {
+    return;
+  }
+  await apiDeleteCredentials(account.name);
+  showVaultModal();
+}
+
 // ===========================================
 // Initialize
 // ===========================================
@@ -1004,11 +2995,23 @@ async function init() {
       hideCategoryModal();
       hideCategoryDetailsModal();
       hideManageCategoriesModal();
+      hideRemoveCategoryModal();
+      hideVaultModal();
+      hideImportModal();
+      hideBackupModal();
+      hideManualModal();
+      hideSplitModal();
+      hideTagModal();
     }
   });
 
   // Load data
   await Promise.all([fetchMonths(), fetchCategories()]);
+  updateSyncBadges();
+  updateNextRun();
+
+  // A job started before this page was opened replays its events on connect
+  watchScrapes();
   
   // Default to previous month (Israeli style)
   const now = new Date();
@@ -0,0 +1,273 @@
+/**
+ * Scrape Scheduler - Runs scrape jobs inside the server on a cron-like schedule
+ *
+ * The schedule lives in settings (see db.getScheduleSettings) as one or more
+ * 5-field cron expressions ("minute hour day-of-month month day-of-week")
+ * separated by ";". Each run starts a random 0..jitter minutes after its slot,
+ * and failed accounts are retried with exponential backoff.
+ */
+
+const db = require('./db');
+const scrapeJob = require('./scrape-job');
+
+const FIELD_RANGES = [
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 7],  // day of week (0 and 7 = Sunday)
+];
+
+const RETRY_BASE_MINUTES = 15;
+
+// setTimeout can't wait longer than ~24.8 days; re-plan before that
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let nextRunAt = null;
+let retry = null; // { attempt, accounts, at }
+let lastRun = null; // { at, status, failed }
+
+// ===========================================
+// CRON PARSING
+// ===========================================
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "8,20") into a Set of values
+ */
+function parseField(field, [min, max]) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in "${field}"`);
+    }
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = min;
+      hi = max;
+    } else if (range.includes('-')) {
+      [lo, hi] = range.split('-').map(Number);
+    } else {
+      lo = Number(range);
+      hi = stepStr === undefined ? lo : max;
+    }
+
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw new Error(`Invalid value "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let v = lo; v <= hi; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ */
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`"${expression}" must have 5 fields: minute hour day month weekday`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseField(f, FIELD_RANGES[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+  };
+}
+
+/**
+ * Check the day part of a cron (classic cron: if both day fields are set, either may match)
+ */
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * Get the first time strictly after `from` that matches the cron (local time)
+ */
+function nextCronTime(cron, from) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skips whole months/days/hours when they can't match - a few thousand steps at most
+  for (let i = 0; i < 100000; i++) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the next slot of a ";"-separated schedule (throws on an invalid expression)
+ */
+function nextScheduledTime(schedule, from = new Date()) {
+  const times = schedule
+    .split(';')
+    .map(expr => expr.trim())
+    .filter(Boolean)
+    .map(expr => nextCronTime(parseCron(expr), from))
+    .filter(Boolean);
+  if (times.length === 0) return null;
+  return new Date(Math.min(...times));
+}
+
+// ===========================================
+// RUNNING
+// ===========================================
+
+/**
+ * Wait for a job to publish its job-done event
+ */
+function waitForJob(job) {
+  return new Promise(resolve => {
+    const unsubscribe = scrapeJob.subscribe(event => {
+      if (event.jobId === job.id && event.type === 'job-done') {
+        unsubscribe();
+        resolve(event);
+      }
+    });
+  });
+}
+
+/**
+ * Run a scheduled (or retry) scrape, then plan what comes next
+ */
+async function run(accounts = null) {
+  timer = null;
+  nextRunAt = null;
+
+  const attempt = retry ? retry.attempt : 0;
+  retry = null;
+
+  if (scrapeJob.isRunning()) {
+    console.log('⏰ Scheduled scrape skipped: a scrape is already running');
+    plan();
+    return;
+  }
+
+  console.log(`⏰ Scheduled scrape${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+  let result;
+  try {
+    const job = scrapeJob.startScrapeJob(accounts ? { accounts } : {});
+    result = await waitForJob(job);
+  } catch (error) {
+    result = { status: 'failed', failed: accounts || [], errorMessage: error.message };
+  }
+
+  lastRun = { at: new Date().toISOString(), status: result.status, failed: result.failed || [] };
+
+  const { maxRetries } = db.getScheduleSettings();
+  if (result.status === 'failed' && attempt < maxRetries) {
+    // Retry only the accounts that failed (all of them if the job itself failed)
+    const failed = result.failed && result.failed.length > 0 ? result.failed : accounts;
+    const delayMinutes = RETRY_BASE_MINUTES * Math.pow(2, attempt);
+    retry = {
+      attempt: attempt + 1,
+      accounts: failed,
+      at: new Date(Date.now() + delayMinutes * 60000).toISOString(),
+    };
+    console.log(`⏰ Retrying in ${delayMinutes} minutes`);
+  }
+
+  plan();
+}
+
+/**
+ * Set the timer for the next retry or scheduled slot (with jitter)
+ */
+function plan() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+
+  const { schedule, jitterMinutes } = db.getScheduleSettings();
+
+  let runAt;
+  let accounts = null;
+  if (retry) {
+    runAt = new Date(retry.at);
+    accounts = retry.accounts;
+  } else {
+    if (!schedule.trim()) return;
+    let slot;
+    try {
+      slot = nextScheduledTime(schedule);
+    } catch (error) {
+      console.error(`⏰ Invalid scrape schedule "${schedule}": ${error.message}`);
+      return;
+    }
+    if (!slot) return;
+    runAt = new Date(slot.getTime() + Math.random() * jitterMinutes * 60000);
+  }
+
+  nextRunAt = runAt.toISOString();
+  const delay = Math.max(0, runAt - Date.now());
+  if (delay > MAX_TIMER_MS) {
+    timer = setTimeout(plan, MAX_TIMER_MS);
+  } else {
+    timer = setTimeout(() => run(accounts), delay);
+  }
+  timer.unref();
+}
+
+/**
+ * Start the scheduler (call again after the schedule settings change)
+ */
+function start() {
+  retry = null;
+  plan();
+  if (nextRunAt) {
+    console.log(`⏰ Next scheduled scrape: ${new Date(nextRunAt).toLocaleString('he-IL')}`);
+  }
+}
+
+/**
+ * Get schedule settings plus the next planned run
+ */
+function getStatus() {
+  return {
+    ...db.getScheduleSettings(),
+    nextRunAt,
+    retry,
+    lastRun,
+  };
+}
+
+module.exports = {
+  nextScheduledTime,
+  start,
+  getStatus,
+};
@@ -0,0 +1,86 @@
+/**
+ * Background Scrape Job - Runs scrapeAll inside the server, one job at a time
+ * Progress events are kept on the job and pushed to subscribers (SSE clients)
+ */
+
+const { EventEmitter } = require('events');
+const { scrapeAll } = require('./scrape');
+
+const emitter = new EventEmitter();
+let currentJob = null;
+let nextJobId = 1;
+
+/**
+ * Get the current (or last finished) job
+ */
+function getCurrentJob() {
+  return currentJob;
+}
+
+/**
+ * Check if a scrape job is running right now
+ */
+function isRunning() {
+  return currentJob !== null && currentJob.status === 'running';
+}
+
+/**
+ * Record a progress event on the job and push it to subscribers
+ */
+function publish(job, event) {
+  const stamped = { jobId: job.id, time: new Date().toISOString(), ...event };
+  job.events.push(stamped);
+  emitter.emit('event', stamped);
+}
+
+/**
+ * Start scraping all accounts (or options.account) in the background
+ * Returns the job; throws if another job is still running
+ */
+function startScrapeJob(options = {}) {
+  if (isRunning()) {
+    throw new Error('A scrape job is already running');
+  }
+
+  const job = {
+    id: nextJobId++,
+    account: options.account || null,
+    full: !!options.full,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    events: [],
+  };
+  currentJob = job;
+  publish(job, { type: 'job-start', account: job.account });
+
+  scrapeAll({ ...options, onProgress: event => publish(job, event) })
+    .then(({ totalSaved, failed, rulesApplied, suggestionsApplied }) => {
+      job.status = failed.length > 0 ? 'failed' : 'done';
+      job.finishedAt = new Date().toISOString();
+      publish(job, { type: 'job-done', status: job.status, totalSaved, failed, rulesApplied, suggestionsApplied });
+    })
+    .catch(error => {
+      console.error('❌ Scrape job failed:', error.message);
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      publish(job, { type: 'job-done', status: 'failed', errorMessage: error.message });
+    });
+
+  return job;
+}
+
+/**
+ * Listen to progress events of all jobs, returns an unsubscribe function
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+module.exports = {
+  getCurrentJob,
+  isRunning,
+  startScrapeJob,
+  subscribe,
+};
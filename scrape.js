@@ -3,120 +3,267 @@
  */
 
 require('dotenv').config();
-const { createScraper, CompanyTypes } = require('israeli-bank-scrapers');
+const readline = require('readline');
+const { createScraper } = require('israeli-bank-scrapers');
 const db = require('./db');
+const vault = require('./vault');
+const otp = require('./otp');
+const backup = require('./backup');
+const classifier = require('./classifier');
+const { recordFixture, createReplayScraper } = require('./fixtures');
+const { loadAccounts, getProviders, importEnvCredentials } = require('./accounts');
 
-// ===========================================
-// CONFIGURATION
-// ===========================================
+// Re-scrape this many days before the last successful scrape, so late-posting
+// and pending card transactions are picked up again
+const OVERLAP_DAYS = parseInt(process.env.SCRAPE_OVERLAP_DAYS) || 14;
+
+// A crashed scrape can't hold the lock forever
+const SCRAPE_LOCK_MINUTES = 60;
 
-const BANKS = [
-  {
-    name: 'Hapoalim',
-    companyId: CompanyTypes.hapoalim,
-    credentials: {
-      userCode: process.env.HAPOALIM_USER,
-      password: process.env.HAPOALIM_PASS,
-    },
-    enabled: !!(process.env.HAPOALIM_USER && process.env.HAPOALIM_PASS),
-  },
-  {
-    name: 'VisaCal',
-    companyId: CompanyTypes.visaCal,
-    credentials: {
-      username: process.env.CAL_USER,
-      password: process.env.CAL_PASS,
-    },
-    enabled: !!(process.env.CAL_USER && process.env.CAL_PASS),
-  },
-  // Isracard - disabled due to anti-bot blocking (status 429)
-  // Uncomment when israeli-bank-scrapers fixes the issue
-  // {
-  //   name: 'Isracard',
-  //   companyId: CompanyTypes.isracard,
-  //   credentials: {
-  //     id: process.env.ISRACARD_ID,
-  //     card6Digits: process.env.ISRACARD_CARD6,
-  //     password: process.env.ISRACARD_PASS,
-  //   },
-  //   enabled: !!(process.env.ISRACARD_ID && process.env.ISRACARD_CARD6 && process.env.ISRACARD_PASS),
-  // },
-];
+// Headless runs (a Pi, Docker) can't show a browser - OTP codes are then
+// relayed through otp.js (the dashboard or the terminal)
+const SHOW_BROWSER = process.env.SCRAPE_HEADLESS !== 'true';
 
 // ===========================================
 // SCRAPING
 // ===========================================
 
-async function scrapeBank(bank) {
+/**
+ * Format a Date as local YYYY-MM-DD
+ */
+function toDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Some providers report currency symbols instead of ISO codes
+const CURRENCY_SYMBOLS = {
+  '₪': 'ILS',
+  'NIS': 'ILS',
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+};
+
+/**
+ * Normalize a scraper currency to an ISO code
+ */
+function normalizeCurrency(currency) {
+  if (!currency) return null;
+  const trimmed = currency.trim();
+  return CURRENCY_SYMBOLS[trimmed] || trimmed.toUpperCase();
+}
+
+/**
+ * Pick the scrape start date: last successful scrape minus the overlap window,
+ * or two years back (maximum history) on the first run or with --full
+ */
+function getStartDate(bank, full) {
+  const earliest = new Date();
+  earliest.setFullYear(earliest.getFullYear() - 2);
+
+  const lastScrape = full ? null : db.getLastScrapeDate(bank.name);
+  if (!lastScrape) return earliest;
+
+  const startDate = new Date(`${lastScrape}T00:00:00`);
+  startDate.setDate(startDate.getDate() - OVERLAP_DAYS);
+  return startDate < earliest ? earliest : startDate;
+}
+
+/**
+ * Ask the user for an account's OTP code through a challenge and wait for it
+ */
+async function requestOtpCode(bank, progress) {
+  const { challenge, code } = otp.openChallenge(bank.name);
+  console.log(`🔑 ${bank.name} sent a one-time code - waiting up to ${otp.OTP_TIMEOUT_MINUTES} minutes for it`);
+  progress('challenge', { challenge });
+  try {
+    return await code;
+  } finally {
+    progress('challenge-done', { challengeId: challenge.id });
+  }
+}
+
+/**
+ * Scrape one account and save its transactions
+ * Returns { success, skipped, inserted, updated }; every attempt is recorded in scrape_runs.
+ * options.onProgress receives { type, account, ... } events as the scrape advances.
+ * options.record saves the raw result as a masked fixture (see fixtures.js).
+ */
+async function scrapeBank(bank, options = {}) {
+  const progress = (type, details = {}) => {
+    if (options.onProgress) options.onProgress({ type, account: bank.name, ...details });
+  };
+
   console.log(`\n🏦 Scraping: ${bank.name}`);
 
   if (!bank.enabled) {
-    console.log(`⚠️  Skipping ${bank.name}: No credentials configured`);
-    return 0;
+    const reason = bank.missing.length > 0
+      ? `missing ${bank.missing.join(', ')}`
+      : 'disabled in accounts config';
+    console.log(`⚠️  Skipping ${bank.name}: ${reason}`);
+    progress('skipped', { reason });
+    return { success: true, skipped: true, inserted: 0, updated: 0 };
   }
 
-  const startDate = new Date();
-  startDate.setFullYear(startDate.getFullYear() - 2); // Last 2 years (maximum history)
+  const runId = db.startScrapeRun(bank.name);
+
+  const scrapeDate = toDateString(new Date());
+  const startDate = getStartDate(bank, options.full);
+  console.log(`📆 From ${toDateString(startDate)}${options.full ? ' (full re-sync)' : ''}`);
 
   try {
-    const scraper = createScraper({
-      companyId: bank.companyId,
-      showBrowser: true,
-      startDate,
-      combineInstallments: false,
-      timeout: 300000,
-    });
+    const scraper = bank.provider === 'replay'
+      ? createReplayScraper(bank.fixture)
+      : createScraper({
+        companyId: bank.companyId,
+        showBrowser: SHOW_BROWSER,
+        startDate,
+        combineInstallments: false,
+        timeout: 300000,
+      });
+
+    const credentials = { ...bank.credentials };
+    if (bank.supportsOtp && !credentials.otpLongTermToken) {
+      credentials.otpCodeRetriever = () => requestOtpCode(bank, progress);
+    }
 
     console.log(`📡 Connecting to ${bank.name}...`);
-    const result = await scraper.scrape(bank.credentials);
+    progress('connecting');
+    const result = await scraper.scrape(credentials);
+
+    if (options.record && bank.provider !== 'replay') {
+      console.log(`📼 Recorded fixture: ${recordFixture(bank, startDate, result)}`);
+    }
 
     if (!result.success) {
       console.error(`❌ Scrape failed: ${result.errorType} - ${result.errorMessage}`);
-      return 0;
+      db.finishScrapeRun(runId, {
+        success: false,
+        errorType: result.errorType,
+        errorMessage: result.errorMessage,
+      });
+      progress('failed', { errorType: result.errorType, errorMessage: result.errorMessage });
+      return { success: false, skipped: false, inserted: 0, updated: 0 };
     }
 
     console.log(`✅ Connected to ${bank.name}`);
 
-    // Process all accounts
-    let totalTransactions = 0;
+    // Map all accounts (cards) of this login to our format. They are saved as one batch
+    // so identical rows on two cards get distinct occurrence indexes.
+    const transactions = [];
 
     for (const account of result.accounts) {
       console.log(`   📋 Account ${account.accountNumber}: ${account.txns.length} transactions`);
+      progress('fetched', { accountNumber: account.accountNumber, count: account.txns.length });
+
+      // Bank accounts report their current balance (credit cards usually don't)
+      if (typeof account.balance === 'number') {
+        db.saveBalanceSnapshot(bank.name, account.accountNumber, Math.round(account.balance * 100));
+      }
 
-      // Map to our format
-      const transactions = account.txns.map((txn, index) => {
-        // Fix timezone issue: extract local date parts instead of using UTC
-        const date = new Date(txn.date);
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const dateStr = `${year}-${month}-${day}`;
-        
-        // Create a STABLE unique ID based on date + amount + description
-        // Don't use bank identifier as it can change between scrapes
-        const descClean = (txn.description || '').trim().substring(0, 30);
-        const stableId = `${bank.name}-${dateStr}-${txn.chargedAmount}-${descClean}`;
-        
-        return {
-          id: stableId,
-          date: dateStr,
+      for (const txn of account.txns) {
+        transactions.push({
+          // The scraper's own ID when it has one; db assigns the row ID
+          identifier: txn.identifier != null ? String(txn.identifier) : null,
+          // Fix timezone issue: extract local date parts instead of using UTC
+          date: toDateString(new Date(txn.date)),
+          processedDate: txn.processedDate ? toDateString(new Date(txn.processedDate)) : null,
           amount: Math.round(txn.chargedAmount * 100), // Convert to agorot
           description: txn.description || '',
           memo: txn.memo || '',
-        };
-      });
-
-      // Save to database
-      const count = db.upsertTransactions(transactions, bank.name);
-      totalTransactions += count;
+          status: txn.status || 'completed',
+          installmentNumber: txn.installments ? txn.installments.number : null,
+          installmentTotal: txn.installments ? txn.installments.total : null,
+          originalAmount: txn.originalAmount != null ? Math.round(txn.originalAmount * 100) : null,
+          originalCurrency: normalizeCurrency(txn.originalCurrency),
+        });
+      }
     }
 
-    console.log(`💾 Saved ${totalTransactions} transactions from ${bank.name}`);
-    return totalTransactions;
+    // Save to database
+    const { inserted, updated } = db.upsertTransactions(transactions, bank.name);
+
+    db.setLastScrapeDate(bank.name, scrapeDate);
+    db.finishScrapeRun(runId, { success: true, inserted, updated });
+    console.log(`💾 Saved ${inserted + updated} transactions from ${bank.name} (${inserted} new, ${updated} updated)`);
+    progress('done', { inserted, updated });
+    return { success: true, skipped: false, inserted, updated };
 
   } catch (error) {
     console.error(`❌ Error scraping ${bank.name}:`, error.message);
-    return 0;
+    db.finishScrapeRun(runId, { success: false, errorType: 'EXCEPTION', errorMessage: error.message });
+    progress('failed', { errorType: 'EXCEPTION', errorMessage: error.message });
+    return { success: false, skipped: false, inserted: 0, updated: 0 };
+  }
+}
+
+/**
+ * Unlock the credential vault (VAULT_PASSPHRASE, unless the server already
+ * unlocked it) and copy the .env logins into it on the first unlock
+ */
+function unlockVault() {
+  if (vault.unlockFromEnv()) {
+    const imported = importEnvCredentials();
+    if (imported.length > 0) {
+      console.log(`🔐 Moved the .env logins of ${imported.join(', ')} into the vault`);
+    }
+  } else if (vault.isInitialized()) {
+    console.log('🔒 Vault is locked (set VAULT_PASSPHRASE or unlock it in the dashboard) - using .env logins');
+  }
+}
+
+/**
+ * Scrape all configured accounts (or only options.account / options.accounts)
+ * and apply category rules. Holds the DB-wide scrape lock so a CLI run and a
+ * server job never scrape into the same database at once.
+ */
+async function scrapeAll(options = {}) {
+  unlockVault();
+
+  let accounts = loadAccounts();
+  const names = options.accounts || (options.account ? [options.account] : null);
+  if (names) {
+    const unknown = names.filter(name => !accounts.some(a => a.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown account "${unknown.join('", "')}"`);
+    }
+    accounts = accounts.filter(a => names.includes(a.name));
+  }
+
+  const lockOwner = `${process.pid}-${Date.now()}`;
+  if (!db.acquireLock('scrape', lockOwner, SCRAPE_LOCK_MINUTES)) {
+    throw new Error('Another scrape is already running');
+  }
+
+  try {
+    // A bad scrape (or a bug in the mapping) shouldn't cost the user's edits
+    try {
+      console.log(`💾 Backup saved to ${backup.writeAutoBackup()}`);
+    } catch (error) {
+      console.error(`⚠️  Could not write a backup before scraping: ${error.message}`);
+    }
+
+    console.log(`📒 ${accounts.length} accounts to scrape`);
+
+    let totalSaved = 0;
+    const failed = [];
+
+    for (const bank of accounts) {
+      const result = await scrapeBank(bank, options);
+      totalSaved += result.inserted + result.updated;
+      if (!result.success) failed.push(bank.name);
+    }
+
+    // Apply category rules to new transactions, then confident suggestions (if turned on)
+    const rulesApplied = db.applyCategoryRules();
+    const suggestionsApplied = classifier.autoApplySuggestions();
+
+    return { totalSaved, failed, rulesApplied, suggestionsApplied };
+  } finally {
+    db.releaseLock('scrape', lockOwner);
   }
 }
 
@@ -124,28 +271,72 @@ async function scrapeBank(bank) {
 // MAIN
 // ===========================================
 
+/**
+ * Answer OTP challenges of a CLI run from the terminal
+ */
+function answerChallengesInTerminal() {
+  const prompts = new Map();
+
+  return event => {
+    if (event.type === 'challenge' && process.stdin.isTTY) {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      prompts.set(event.challenge.id, rl);
+      rl.question(`🔑 Code for ${event.account}: `, code => otp.answerChallenge(event.challenge.id, code));
+    }
+    // Close the prompt once the challenge is answered or has expired
+    if (event.type === 'challenge-done' && prompts.has(event.challengeId)) {
+      prompts.get(event.challengeId).close();
+      prompts.delete(event.challengeId);
+    }
+  };
+}
+
 async function main() {
   console.log('🔄 Israeli Bank Scraper');
   console.log('═══════════════════════════════════════════════════\n');
 
-  let totalSaved = 0;
-
-  for (const bank of BANKS) {
-    const count = await scrapeBank(bank);
-    totalSaved += count;
+  if (process.argv.includes('--providers')) {
+    for (const provider of getProviders()) {
+      console.log(`${provider.id.padEnd(20)} ${provider.loginFields.join(', ')}${provider.supportsOtp ? ' (+ OTP code)' : ''}`);
+    }
+    return;
   }
 
+  const full = process.argv.includes('--full');
+  const record = process.argv.includes('--record');
+  const { totalSaved, failed, rulesApplied, suggestionsApplied } = await scrapeAll({
+    full,
+    record,
+    onProgress: answerChallengesInTerminal(),
+  });
+
   console.log('\n═══════════════════════════════════════════════════');
   console.log(`✨ Done! Total transactions saved: ${totalSaved}`);
   console.log(`📊 Database now has: ${db.getTransactionCount()} transactions`);
-  
-  // Apply category rules to new transactions
-  const rulesApplied = db.applyCategoryRules();
   if (rulesApplied > 0) {
     console.log(`🏷️  Auto-categorized ${rulesApplied} transactions`);
   }
+  if (suggestionsApplied > 0) {
+    console.log(`✨ Categorized ${suggestionsApplied} transactions from suggestions`);
+  }
   
+  // Non-zero exit so cron (and docker-compose run) notice a failed account
+  if (failed.length > 0) {
+    console.error(`\n❌ Failed accounts: ${failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+
   console.log('\nRun "npm start" to view your dashboard!\n');
 }
 
-main();
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  scrapeBank,
+  scrapeAll,
+};
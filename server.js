@@ -7,12 +7,32 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const db = require('./db');
+const scrapeJob = require('./scrape-job');
+const scheduler = require('./scheduler');
+const vault = require('./vault');
+const otp = require('./otp');
+const { loadAccounts, getRequiredFields, importEnvCredentials } = require('./accounts');
+const { readCsvTransactions } = require('./importers/csv');
+const { readOfxTransactions } = require('./importers/ofx');
+const { readQifTransactions } = require('./importers/qif');
+const exporters = require('./exporters');
+const backup = require('./backup');
+const classifier = require('./classifier');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json());
+// The dashboard is served from this server, so other sites get no CORS access
+// unless listed in CORS_ORIGINS (comma separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Wrong passphrases allowed per window before unlock is refused for a while
+const UNLOCK_MAX_FAILURES = 5;
+const UNLOCK_WINDOW_MINUTES = 15;
+
+app.use(cors({ origin: CORS_ORIGINS }));
+// Imported statement files and restored backups are sent as JSON
+app.use(express.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ===========================================
@@ -78,6 +98,315 @@ app.get('/api/ytd/:year', (req, res) => {
   }
 });
 
+// ===========================================
+// CREDENTIAL ROUTES
+// ===========================================
+
+/**
+ * Refuse browser requests from other sites to the vault, credentials, scrapes and OTP answers -
+ * CORS only hides responses, a page could still send a lock, delete or scrape
+ */
+function sameOriginOnly(req, res, next) {
+  const origin = req.get('origin');
+  if (origin && !CORS_ORIGINS.includes(origin)) {
+    let host = null;
+    try {
+      host = new URL(origin).host;
+    } catch (error) {
+      // Not a URL ("null" from sandboxed pages)
+    }
+    if (host !== req.get('host')) {
+      return res.status(403).json({ error: 'Cross-origin requests are not allowed' });
+    }
+  }
+  next();
+}
+
+app.use(['/api/vault', '/api/credentials'], sameOriginOnly);
+
+// Times of recent wrong passphrases (in memory - a restart locks the vault anyway)
+let unlockFailures = [];
+
+/**
+ * Get vault state and the login status of every account (never the secrets)
+ */
+app.get('/api/vault', (req, res) => {
+  try {
+    const accounts = loadAccounts().map(a => ({
+      name: a.name,
+      provider: a.provider,
+      loginFields: a.loginFields,
+      credentialSource: a.credentialSource,
+      missing: a.missing,
+    }));
+    res.json({ ...vault.getStatus(), accounts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Unlock the vault (the first unlock sets the master passphrase)
+ */
+app.post('/api/vault/unlock', (req, res) => {
+  try {
+    const { passphrase } = req.body || {};
+    if (!passphrase) {
+      return res.status(400).json({ error: 'passphrase is required' });
+    }
+
+    const windowStart = Date.now() - UNLOCK_WINDOW_MINUTES * 60 * 1000;
+    unlockFailures = unlockFailures.filter(time => time > windowStart);
+    if (unlockFailures.length >= UNLOCK_MAX_FAILURES) {
+      const retryAfter = Math.ceil((unlockFailures[0] - windowStart) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many wrong passphrases - try again in ${Math.ceil(retryAfter / 60)} minutes` });
+    }
+
+    try {
+      vault.unlock(passphrase);
+    } catch (error) {
+      unlockFailures.push(Date.now());
+      return res.status(401).json({ error: error.message });
+    }
+    unlockFailures = [];
+    const imported = importEnvCredentials();
+    res.json({ success: true, imported });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Lock the vault (forget the key until the next unlock)
+ */
+app.post('/api/vault/lock', (req, res) => {
+  try {
+    vault.lock();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add or rotate the login of an account
+ * Body: { credentials: { <login field>: <value>, ... } }
+ */
+app.put('/api/credentials/:account', (req, res) => {
+  try {
+    const account = loadAccounts().find(a => a.name === req.params.account);
+    if (!account) {
+      return res.status(404).json({ error: `Unknown account "${req.params.account}"` });
+    }
+    if (!vault.isUnlocked()) {
+      return res.status(423).json({ error: 'Vault is locked' });
+    }
+
+    const credentials = (req.body || {}).credentials || {};
+    const unknown = Object.keys(credentials).filter(field => !account.loginFields.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown login fields: ${unknown.join(', ')}` });
+    }
+    const missing = getRequiredFields(account.loginFields, credentials).filter(field => typeof credentials[field] !== 'string' || !credentials[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Missing login fields: ${missing.join(', ')}` });
+    }
+
+    vault.setCredentials(account.name, credentials);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete the stored login of an account (it falls back to .env)
+ */
+app.delete('/api/credentials/:account', (req, res) => {
+  try {
+    if (!vault.deleteCredentials(req.params.account)) {
+      return res.status(404).json({ error: 'No stored login for this account' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// SCRAPE ROUTES
+// ===========================================
+
+/**
+ * Job summary for API responses (without the event log)
+ */
+function jobInfo(job) {
+  const { events, ...info } = job;
+  return info;
+}
+
+/**
+ * Get scrape run history (newest first)
+ */
+app.get('/api/scrape-runs', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const runs = db.getScrapeRuns(limit, req.query.account || null);
+    res.json({ runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Start a background scrape of all accounts (or one account)
+ */
+app.post('/api/scrape', sameOriginOnly, (req, res) => {
+  try {
+    const { account, full } = req.body || {};
+    if (scrapeJob.isRunning()) {
+      return res.status(409).json({ error: 'A scrape job is already running', job: jobInfo(scrapeJob.getCurrentJob()) });
+    }
+    if (account && !loadAccounts().some(a => a.name === account)) {
+      return res.status(404).json({ error: `Unknown account "${account}"` });
+    }
+    const job = scrapeJob.startScrapeJob({ account, full });
+    res.status(202).json({ job: jobInfo(job) });
+  } catch (error) {
+    console.error('Error starting scrape:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the current (or last finished) scrape job
+ */
+app.get('/api/scrape', (req, res) => {
+  const job = scrapeJob.getCurrentJob();
+  res.json({ job: job ? jobInfo(job) : null });
+});
+
+/**
+ * Stream scrape progress as Server-Sent Events
+ * Replays the events of the current job first, so late subscribers catch up
+ */
+app.get('/api/scrape/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  const job = scrapeJob.getCurrentJob();
+  if (job && job.status === 'running') {
+    job.events.forEach(send);
+  }
+
+  const unsubscribe = scrapeJob.subscribe(send);
+  req.on('close', unsubscribe);
+});
+
+/**
+ * Get OTP challenges a running scrape is waiting on
+ */
+app.get('/api/challenges', (req, res) => {
+  try {
+    res.json({ challenges: otp.getPendingChallenges() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Answer an OTP challenge
+ * Body: { code }
+ */
+app.post('/api/challenges/:id', sameOriginOnly, (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code || !String(code).trim()) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+    if (!otp.answerChallenge(parseInt(req.params.id), code)) {
+      return res.status(404).json({ error: 'Challenge not found or already expired' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel an OTP challenge (the scrape of that account fails)
+ */
+app.delete('/api/challenges/:id', sameOriginOnly, (req, res) => {
+  try {
+    if (!otp.cancelChallenge(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Challenge not found or already expired' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the scrape schedule and the next planned run
+ */
+app.get('/api/schedule', (req, res) => {
+  try {
+    res.json(scheduler.getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update the scrape schedule (cron expressions separated by ";", empty = off)
+ */
+app.post('/api/schedule', (req, res) => {
+  try {
+    const { schedule, jitterMinutes, maxRetries } = req.body;
+    if (schedule !== undefined) {
+      try {
+        scheduler.nextScheduledTime(String(schedule));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    const isCount = value => value === undefined || (Number.isInteger(value) && value >= 0);
+    if (!isCount(jitterMinutes) || !isCount(maxRetries)) {
+      return res.status(400).json({ error: 'Jitter and retries must be non-negative whole numbers' });
+    }
+    db.setScheduleSettings({
+      schedule: schedule === undefined ? undefined : String(schedule).trim(),
+      jitterMinutes,
+      maxRetries,
+    });
+    scheduler.start();
+    res.json(scheduler.getStatus());
+  } catch (error) {
+    console.error('Error setting schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the latest run of every account (for the "last synced" badges)
+ */
+app.get('/api/scrape-runs/latest', (req, res) => {
+  try {
+    const accounts = db.getLatestScrapeRuns();
+    res.json({ accounts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===========================================
 // CATEGORY ROUTES
 // ===========================================
@@ -94,16 +423,78 @@ app.get('/api/categories', (req, res) => {
   }
 });
 
+/**
+ * Check if another category already has this name (names are unique)
+ */
+function categoryNameTaken(name, exceptId = null) {
+  return db.getCategories().some(category => category.name === name && category.id !== exceptId);
+}
+
 /**
  * Create a new category
  */
 app.post('/api/categories', (req, res) => {
   try {
-    const { name, color } = req.body;
+    const { name, color, parentId, icon } = req.body;
     if (!name) {
       return res.status(400).json({ error: 'Category name is required' });
     }
-    const category = db.createCategory(name, color);
+    if (categoryNameTaken(name)) {
+      return res.status(409).json({ error: `A category named "${name}" already exists` });
+    }
+    if (parentId && !db.getCategory(parentId)) {
+      return res.status(400).json({ error: 'Parent category not found' });
+    }
+    const category = db.createCategory(name, color, parentId, icon);
+    res.json(category);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Move a category under a parent category (parentId null = top level)
+ */
+app.put('/api/categories/:id/parent', (req, res) => {
+  try {
+    const { parentId } = req.body;
+    if (!db.getCategory(req.params.id)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (parentId && !db.getCategory(parentId)) {
+      return res.status(400).json({ error: 'Parent category not found' });
+    }
+    try {
+      db.setCategoryParent(req.params.id, parentId || null);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rename a category or change its color / icon
+ */
+app.put('/api/categories/:id', (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+    if (name !== undefined && categoryNameTaken(String(name).trim(), req.params.id)) {
+      return res.status(409).json({ error: `A category named "${String(name).trim()}" already exists` });
+    }
+    const category = db.updateCategory(req.params.id, {
+      name: name === undefined ? undefined : String(name).trim(),
+      color,
+      icon,
+    });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
     res.json(category);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -111,11 +502,35 @@ app.post('/api/categories', (req, res) => {
 });
 
 /**
- * Delete a category
+ * Merge a category into another (moves its transactions and rules, then deletes it)
+ */
+app.post('/api/categories/:id/merge', (req, res) => {
+  try {
+    const { targetId } = req.body;
+    if (!db.getCategory(req.params.id)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (!targetId || !db.getCategory(targetId) || targetId === req.params.id) {
+      return res.status(400).json({ error: 'Pick another existing category to merge into' });
+    }
+    const moved = db.mergeCategories(req.params.id, targetId);
+    res.json({ success: true, ...moved });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a category (?reassignTo=<id> moves its transactions and rules there
+ * instead of un-labelling them)
  */
 app.delete('/api/categories/:id', (req, res) => {
   try {
-    db.deleteCategory(req.params.id);
+    const { reassignTo } = req.query;
+    if (reassignTo && (!db.getCategory(reassignTo) || reassignTo === req.params.id)) {
+      return res.status(400).json({ error: 'Category to reassign to not found' });
+    }
+    db.deleteCategory(req.params.id, { reassignTo });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -134,6 +549,117 @@ app.get('/api/categories/rules', (req, res) => {
   }
 });
 
+/**
+ * Check the fields of a rule, returns an error message or null
+ * (on edit only the given fields are checked)
+ */
+function validateRule(body, isNew) {
+  const { pattern, matchType, categoryId, amountMin, amountMax, direction, priority } = body;
+  if (isNew || pattern !== undefined) {
+    if (!pattern || !String(pattern).trim()) {
+      return 'pattern is required';
+    }
+  }
+  if (matchType !== undefined && !db.RULE_MATCH_TYPES.includes(matchType)) {
+    return `matchType must be one of: ${db.RULE_MATCH_TYPES.join(', ')}`;
+  }
+  if (matchType === 'regex') {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return `Invalid regex: ${error.message}`;
+    }
+  }
+  if (isNew || categoryId !== undefined) {
+    if (!db.getCategories().some(c => c.id === categoryId)) {
+      return `Unknown category "${categoryId}"`;
+    }
+  }
+  for (const [name, value] of [['amountMin', amountMin], ['amountMax', amountMax]]) {
+    if (value != null && value !== '' && (!Number.isInteger(value) || value < 0)) {
+      return `${name} must be a whole number of agorot`;
+    }
+  }
+  if (Number.isInteger(amountMin) && Number.isInteger(amountMax) && amountMin > amountMax) {
+    return 'amountMin is above amountMax';
+  }
+  if (direction != null && direction !== '' && !['income', 'expense'].includes(direction)) {
+    return 'direction must be income or expense';
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return 'priority must be a whole number';
+  }
+  return null;
+}
+
+/**
+ * Create a category rule and apply it to uncategorized transactions
+ * Body: { pattern, matchType, categoryId, amountMin, amountMax, account, direction,
+ *         priority, overwrite } - overwrite also moves transactions in other categories
+ */
+app.post('/api/categories/rules', (req, res) => {
+  try {
+    const error = validateRule(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { rule, applied } = db.createCategoryRule(req.body, { overwrite: !!req.body.overwrite });
+    res.json({ success: true, rule, applied });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Preview which transactions a draft rule would match (nothing is saved)
+ * Body: the rule fields, plus ruleId when previewing an edit
+ */
+app.post('/api/categories/rules/preview', (req, res) => {
+  try {
+    const { ruleId, ...fields } = req.body;
+    const error = validateRule(fields, !ruleId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(db.previewCategoryRule(fields, ruleId || null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Edit a category rule (same fields as creating, all optional)
+ */
+app.put('/api/categories/rules/:id', (req, res) => {
+  try {
+    const error = validateRule(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const result = db.updateCategoryRule(parseInt(req.params.id), req.body, { overwrite: !!req.body.overwrite });
+    if (!result) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a category rule
+ */
+app.delete('/api/categories/rules/:id', (req, res) => {
+  try {
+    if (!db.deleteCategoryRule(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Set category for a transaction
  */
@@ -344,10 +870,673 @@ app.get('/api/available-budget/:year/:month', (req, res) => {
 });
 
 // ===========================================
-// START SERVER
+// MANUAL TRANSACTION ROUTES
 // ===========================================
 
-app.listen(PORT, () => {
-  console.log(`\n🚀 Finance Dashboard running at http://localhost:${PORT}`);
+/**
+ * Check the fields of a manual transaction, returns an error message or null
+ * (on edit only the given fields are checked)
+ */
+function validateManualTransaction(body, isNew) {
+  const { date, amount, description, categoryId } = body;
+  if (isNew || date !== undefined) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || Number.isNaN(new Date(date).getTime())) {
+      return 'date must be YYYY-MM-DD';
+    }
+  }
+  if (isNew || amount !== undefined) {
+    if (!Number.isInteger(amount) || amount === 0) {
+      return 'amount must be a non-zero whole number of agorot (negative for expenses)';
+    }
+  }
+  if (isNew || description !== undefined) {
+    if (!description || !String(description).trim()) {
+      return 'description is required';
+    }
+  }
+  if (categoryId && !db.getCategories().some(c => c.id === categoryId)) {
+    return `Unknown category "${categoryId}"`;
+  }
+  return null;
+}
+
+/**
+ * Add a manual transaction (cash, Bit, unsupported accounts)
+ * Body: { date, amount (agorot), description, memo, account, categoryId,
+ *         isTransfer, isInvestment, isOccasionalIncome, comment }
+ */
+app.post('/api/transactions/manual', (req, res) => {
+  try {
+    const error = validateManualTransaction(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const transaction = db.createManualTransaction(req.body);
+    res.json({ success: true, transaction });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Edit a manual transaction (same fields as adding, all optional)
+ */
+app.put('/api/transactions/manual/:id', (req, res) => {
+  try {
+    const error = validateManualTransaction(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const transaction = db.updateManualTransaction(req.params.id, req.body);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Manual transaction not found' });
+    }
+    res.json({ success: true, transaction });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a manual transaction
+ */
+app.delete('/api/transactions/manual/:id', (req, res) => {
+  try {
+    if (!db.deleteManualTransaction(req.params.id)) {
+      return res.status(404).json({ error: 'Manual transaction not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// TRANSACTION SPLIT ROUTES
+// ===========================================
+
+/**
+ * Check splits for a transaction, returns an error message or null
+ * ([] is allowed - it removes the split)
+ */
+function validateSplits(transaction, splits) {
+  if (!Array.isArray(splits)) {
+    return 'splits must be an array';
+  }
+  if (splits.length === 0) return null;
+  if (splits.length < 2) {
+    return 'A split needs at least 2 parts';
+  }
+  for (const split of splits) {
+    if (!Number.isInteger(split.amount) || split.amount === 0) {
+      return 'Each part\'s amount must be a non-zero whole number of agorot';
+    }
+    if (Math.sign(split.amount) !== Math.sign(transaction.amount)) {
+      return 'Parts must have the same sign as the transaction';
+    }
+    if (split.categoryId && !db.getCategory(split.categoryId)) {
+      return `Unknown category "${split.categoryId}"`;
+    }
+  }
+  const total = splits.reduce((sum, split) => sum + split.amount, 0);
+  if (total !== transaction.amount) {
+    return `Parts add up to ${total}, the transaction is ${transaction.amount} (agorot)`;
+  }
+  return null;
+}
+
+/**
+ * Get a transaction's splits
+ */
+app.get('/api/transactions/:id/splits', (req, res) => {
+  try {
+    const transaction = db.getTransaction(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    res.json({ transaction, splits: db.getTransactionSplits(transaction.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Split a transaction (replaces its current splits, [] un-splits it)
+ * Body: { splits: [{ amount (agorot), categoryId, comment, isInvestment, isOccasionalIncome }] }
+ */
+app.put('/api/transactions/:id/splits', (req, res) => {
+  try {
+    const transaction = db.getTransaction(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const error = validateSplits(transaction, req.body.splits);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const splits = db.setTransactionSplits(transaction.id, req.body.splits);
+    res.json({ success: true, splits });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a transaction's split
+ */
+app.delete('/api/transactions/:id/splits', (req, res) => {
+  try {
+    if (!db.getTransaction(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    db.setTransactionSplits(req.params.id, []);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// TAG ROUTES
+// ===========================================
+
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Trim a list of tag names, returns { tags } or { error }
+ */
+function readTags(tags) {
+  if (tags === undefined) return { tags: [] };
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: 'tags must be a list of names' };
+  }
+  const trimmed = [...new Set(tags.map(tag => tag.trim()))];
+  if (trimmed.some(tag => !tag || tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tag names must be 1-${MAX_TAG_LENGTH} characters` };
+  }
+  return { tags: trimmed };
+}
+
+/**
+ * Get all tags (with transaction counts)
+ */
+app.get('/api/tags', (req, res) => {
+  try {
+    res.json({ tags: db.getTags() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add / remove tags on one or more transactions
+ * Body: { transactionIds: [...], add: [tag...], remove: [tag...] }
+ */
+app.post('/api/transactions/tags', (req, res) => {
+  try {
+    const { transactionIds } = req.body;
+    if (!Array.isArray(transactionIds) || transactionIds.length === 0) {
+      return res.status(400).json({ error: 'transactionIds is required' });
+    }
+    const add = readTags(req.body.add);
+    const remove = readTags(req.body.remove);
+    if (add.error || remove.error) {
+      return res.status(400).json({ error: add.error || remove.error });
+    }
+
+    const changed = db.updateTransactionTags(transactionIds, { add: add.tags, remove: remove.tags });
+    res.json({ success: true, ...changed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a tag from every transaction
+ */
+app.delete('/api/tags/:tag', (req, res) => {
+  try {
+    if (!db.deleteTag(req.params.tag)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Totals for a tag (all time, or from/to YYYY-MM-DD)
+ */
+app.get('/api/tags/:tag/summary', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const badDate = [from, to].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (badDate) {
+      return res.status(400).json({ error: `Invalid date "${badDate}"` });
+    }
+    res.json(db.getTagSummary(req.params.tag, { from: from || null, to: to || null }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// SUGGESTION ROUTES
+// ===========================================
+
+/**
+ * Check a confidence threshold (0.5-1), returns an error message or null
+ */
+function validateMinConfidence(minConfidence) {
+  if (typeof minConfidence !== 'number' || !(minConfidence >= 0.5 && minConfidence <= 1)) {
+    return 'minConfidence must be a number between 0.5 and 1';
+  }
+  return null;
+}
+
+/**
+ * Category suggestions for a month's uncategorized transactions
+ * Returns { suggestions: { [transactionId]: [{ categoryId, categoryName, confidence }] } }
+ */
+app.get('/api/suggestions/:year/:month', (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    const month = parseInt(req.params.month);
+    if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
+      return res.status(400).json({ error: 'Invalid year or month' });
+    }
+
+    // Split parts are categorized in the split form
+    const uncategorized = db.getMonthlySummary(year, month).transactions
+      .filter(txn => !txn.category_id && !txn.split_of);
+    const results = classifier.suggestCategories(uncategorized);
+    res.json({
+      suggestions: Object.fromEntries(results.map(result => [result.transactionId, result.suggestions])),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Categorize every uncategorized transaction whose top suggestion is confident enough
+ * Body: { minConfidence } (optional - defaults to the saved threshold)
+ */
+app.post('/api/suggestions/apply', (req, res) => {
+  try {
+    const { minConfidence = db.getSuggestionSettings().minConfidence } = req.body;
+    const error = validateMinConfidence(minConfidence);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, applied: classifier.applySuggestions(minConfidence) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get suggestion settings (auto-apply after scrapes, confidence threshold)
+ */
+app.get('/api/suggestions/settings', (req, res) => {
+  try {
+    res.json(db.getSuggestionSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update suggestion settings
+ * Body: { autoApply, minConfidence }
+ */
+app.post('/api/suggestions/settings', (req, res) => {
+  try {
+    const { autoApply, minConfidence } = req.body;
+    const error = minConfidence !== undefined ? validateMinConfidence(minConfidence) : null;
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    db.setSuggestionSettings({ autoApply: autoApply === undefined ? undefined : !!autoApply, minConfidence });
+    res.json(db.getSuggestionSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// INSTALLMENT ROUTES
+// ===========================================
+
+/**
+ * Get all installment plans (installments of one purchase grouped together)
+ */
+app.get('/api/installments', (req, res) => {
+  try {
+    const plans = db.getInstallmentPlans();
+    res.json({ plans });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get remaining installment charges per upcoming month
+ */
+app.get('/api/installments/upcoming', (req, res) => {
+  try {
+    const months = db.getUpcomingInstallments();
+    res.json({ months });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// BALANCE ROUTES
+// ===========================================
+
+/**
+ * Get bank balances: latest per account, total over time and monthly changes
+ */
+app.get('/api/balances', (req, res) => {
+  try {
+    res.json({
+      accounts: db.getLatestBalances(),
+      history: db.getBalanceHistory(),
+      monthly: db.getMonthlyBalanceChanges(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// REPORT ROUTES
+// ===========================================
+
+/**
+ * Get foreign-currency spending and FX fees per month of a year
+ */
+app.get('/api/reports/foreign/:year', (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+    const months = db.getForeignSpendingReport(year);
+    res.json({ year, months });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// IMPORT ROUTES
+// ===========================================
+
+/**
+ * Send an import preview, or save the parsed rows to an account when committing
+ * Rows go through upsertTransactions (same ID dedupe as scrapes), then category rules
+ */
+function respondToImport(res, parsed, account, commit) {
+  if (!commit) {
+    return res.json(parsed);
+  }
+
+  if (!account || !String(account).trim()) {
+    return res.status(400).json({ error: 'account is required' });
+  }
+  if (parsed.transactions.length === 0) {
+    return res.status(400).json({ error: 'No transactions to import', errors: parsed.errors });
+  }
+
+  const { inserted, updated } = db.upsertTransactions(parsed.transactions, String(account).trim(), 'import');
+  const rulesApplied = db.applyCategoryRules();
+  res.json({ success: true, inserted, updated, rulesApplied, errors: parsed.errors });
+}
+
+/**
+ * Get saved import mappings
+ */
+app.get('/api/import/presets', (req, res) => {
+  try {
+    res.json({ presets: db.getImportPresets() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Save an import mapping as a named preset
+ * Body: { bank, mapping }
+ */
+app.put('/api/import/presets/:name', (req, res) => {
+  try {
+    const { bank, mapping } = req.body || {};
+    if (!mapping || typeof mapping !== 'object') {
+      return res.status(400).json({ error: 'mapping is required' });
+    }
+    db.saveImportPreset(req.params.name, bank, mapping);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete an import preset
+ */
+app.delete('/api/import/presets/:name', (req, res) => {
+  try {
+    if (!db.deleteImportPreset(req.params.name)) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import a CSV export
+ * Body: { csv, account, mapping | preset, commit }
+ * Without commit it's a preview: the parsed rows and errors, nothing saved
+ */
+app.post('/api/import/csv', (req, res) => {
+  try {
+    const { csv, account, preset, commit } = req.body || {};
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ error: 'csv is required' });
+    }
+
+    let mapping = req.body.mapping;
+    if (!mapping && preset) {
+      const saved = db.getImportPresets().find(p => p.name === preset);
+      if (!saved) {
+        return res.status(404).json({ error: `Unknown preset "${preset}"` });
+      }
+      mapping = saved.mapping;
+    }
+
+    const parsed = readCsvTransactions(csv, mapping || {});
+    respondToImport(res, parsed, account, commit);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import an OFX/QFX statement
+ * Body: { content, account, commit } - FITIDs are used as transaction identifiers
+ */
+app.post('/api/import/ofx', (req, res) => {
+  try {
+    const { content, account, commit } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+    respondToImport(res, readOfxTransactions(content), account, commit);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import a QIF statement
+ * Body: { content, account, dateFormat, commit }
+ */
+app.post('/api/import/qif', (req, res) => {
+  try {
+    const { content, account, dateFormat, commit } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+    respondToImport(res, readQifTransactions(content, { dateFormat }), account, commit);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// EXPORT ROUTES
+// ===========================================
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: exporters.toCsv },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', render: exporters.toJson },
+  ledger: { contentType: 'text/plain; charset=utf-8', extension: 'journal', render: exporters.toLedger },
+};
+
+/**
+ * Export transactions as a file
+ * Query: format=csv|json|ledger, from/to (YYYY-MM-DD) or fromMonth/toMonth
+ * (Israeli months, YYYY-MM), account and category (comma separated, category "none" = uncategorized)
+ */
+app.get('/api/export', (req, res) => {
+  try {
+    const { format = 'csv', from, to, fromMonth, toMonth, account, category } = req.query;
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const badDate = [from, to].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    const badMonth = [fromMonth, toMonth].find(m => m && !/^\d{4}-(0[1-9]|1[0-2])$/.test(m));
+    if (badDate || badMonth) {
+      return res.status(400).json({ error: `Invalid ${badDate ? 'date' : 'month'} "${badDate || badMonth}"` });
+    }
+
+    const filters = {
+      from,
+      to,
+      fromMonth,
+      toMonth,
+      accounts: account ? account.split(',') : undefined,
+      categories: category ? category.split(',') : undefined,
+    };
+    const transactions = db.getExportTransactions(filters);
+
+    const filename = `transactions-${new Date().toISOString().substring(0, 10)}.${exporter.extension}`;
+    res.set({
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.send(exporter.render(transactions, filters));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// BACKUP ROUTES
+// ===========================================
+
+/**
+ * Send a backup as a download
+ */
+function sendBackup(res, data, filename) {
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.send(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Download a backup of all user data
+ */
+app.get('/api/backup', (req, res) => {
+  try {
+    sendBackup(res, backup.createBackup(), `finance-backup-${new Date().toISOString().substring(0, 10)}.json`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Restore a backup - without commit, only returns the diff summary
+ * Body: { backup, mode: 'merge' | 'replace', commit }
+ */
+app.post('/api/backup/restore', (req, res) => {
+  try {
+    const { backup: data, mode = 'merge', commit } = req.body;
+    if (!backup.RESTORE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${backup.RESTORE_MODES.join(', ')}` });
+    }
+    try {
+      backup.checkBackup(data);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(backup.restoreBackup(data, { mode, apply: !!commit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the automatic backups taken before scrapes
+ */
+app.get('/api/backups', (req, res) => {
+  try {
+    res.json({ backups: backup.listAutoBackups(), keep: backup.BACKUP_KEEP });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Download an automatic backup
+ */
+app.get('/api/backups/:file', (req, res) => {
+  try {
+    const data = backup.readAutoBackup(req.params.file);
+    if (!data) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    sendBackup(res, data, req.params.file);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===========================================
+// START SERVER
+// ===========================================
+
+app.listen(PORT, () => {
+  console.log(`\n🚀 Finance Dashboard running at http://localhost:${PORT}`);
   console.log(`📊 Database has ${db.getTransactionCount()} transactions\n`);
+  try {
+    if (vault.unlockFromEnv()) {
+      importEnvCredentials();
+      console.log('🔐 Credential vault unlocked');
+    }
+  } catch (error) {
+    console.error(`🔒 Could not unlock the credential vault: ${error.message}`);
+  }
+  scheduler.start();
 });
@@ -0,0 +1,19 @@
+/**
+ * Account registry (accounts.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+openTestDb();
+const { getRequiredFields } = require('../accounts');
+
+const ONE_ZERO_FIELDS = ['email', 'password', 'phoneNumber', 'otpLongTermToken'];
+
+test('the OTP token is optional, and the phone number is needed only without it', () => {
+  assert.deepStrictEqual(getRequiredFields(ONE_ZERO_FIELDS, { email: 'a@b.c', password: 'x' }),
+    ['email', 'password', 'phoneNumber']);
+  assert.deepStrictEqual(getRequiredFields(ONE_ZERO_FIELDS, { email: 'a@b.c', password: 'x', otpLongTermToken: 't' }),
+    ['email', 'password']);
+});
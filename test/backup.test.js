@@ -0,0 +1,53 @@
+/**
+ * Backup and restore (backup.js, db.restoreBackupTables)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+const backup = require('../backup');
+
+test('a merge restore replaces a transaction\'s split parts instead of adding to them', () => {
+  const food = db.createCategory('מזון');
+  const home = db.createCategory('בית');
+  const gifts = db.createCategory('מתנות');
+  db.upsertTransactions([{ identifier: '1', date: '2026-09-15', amount: -10000, description: 'שופרסל דיל', status: 'completed' }], 'Card');
+  db.setTransactionSplits('Card-id-1', [{ amount: -6000, categoryId: food.id }, { amount: -4000, categoryId: home.id }]);
+
+  const saved = backup.createBackup();
+  db.setTransactionSplits('Card-id-1', [{ amount: -6000, categoryId: gifts.id }, { amount: -4000, categoryId: gifts.id }]);
+
+  const result = backup.restoreBackup(saved, { mode: 'merge', apply: true });
+  assert.strictEqual(result.tables.transaction_splits.removed, 2);
+
+  assert.deepStrictEqual(
+    db.getTransactionSplits('Card-id-1').map(split => [split.amount, split.category_id]),
+    [[-6000, food.id], [-4000, home.id]]);
+  assert.strictEqual(db.getMonthlySummary(2026, 9).expenses, 10000);
+});
+
+test('equal split parts are all restored', () => {
+  const food = db.createCategory('מסעדות');
+  const home = db.createCategory('ניקיון');
+  db.upsertTransactions([{ identifier: '2', date: '2026-09-20', amount: -15000, description: 'רמי לוי', status: 'completed' }], 'Card');
+  db.setTransactionSplits('Card-id-2', [
+    { amount: -5000, categoryId: food.id },
+    { amount: -5000, categoryId: food.id },
+    { amount: -5000, categoryId: home.id },
+  ]);
+
+  const saved = backup.createBackup();
+  db.setTransactionSplits('Card-id-2', [{ amount: -10000, categoryId: home.id }, { amount: -5000, categoryId: home.id }]);
+
+  const preview = backup.restoreBackup(saved, { mode: 'merge' });
+  assert.strictEqual(preview.tables.transaction_splits.added, 3);
+  assert.strictEqual(preview.tables.transaction_splits.removed, 2);
+
+  backup.restoreBackup(saved, { mode: 'replace', apply: true });
+  assert.deepStrictEqual(
+    db.getTransactionSplits('Card-id-2').map(split => [split.amount, split.category_id]),
+    [[-5000, food.id], [-5000, food.id], [-5000, home.id]]);
+  assert.strictEqual(backup.restoreBackup(saved, { mode: 'merge' }).tables.transaction_splits.unchanged, 5);
+});
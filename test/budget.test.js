@@ -0,0 +1,40 @@
+/**
+ * Available budget (db.calculateAvailableBudget)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+
+// 12 x ₪300, each installment dated a month later and billed on the 2nd of the next month
+const installment = (number, month, billMonth) => ({
+  identifier: '9001',
+  date: `${month}-10`,
+  processedDate: `${billMonth}-02`,
+  amount: -30000,
+  description: 'מחסני חשמל',
+  status: 'completed',
+  installmentNumber: number,
+  installmentTotal: 12,
+});
+
+test('installments still to come are counted once, in the Israeli month of their bill', () => {
+  const category = db.createCategory('אלקטרוניקה');
+  db.upsertTransactions([
+    installment(1, '2026-06', '2026-07'),
+    installment(2, '2026-07', '2026-08'),
+    installment(3, '2026-08', '2026-09'),
+  ], 'Card');
+  db.assignCategories(['1', '2', '3'].map(n => ({ transactionId: `Card-id-9001-${n}/12`, categoryId: category.id })));
+
+  // Installment 4 is billed on 2026-10-02 - that bill belongs to September
+  assert.strictEqual(db.calculateAvailableBudget(2026, 9).installmentObligations, 30000);
+  assert.strictEqual(db.calculateAvailableBudget(2026, 8).installmentObligations, 0);
+
+  // The 3-month average (₪300) already holds the earlier installments
+  const budget = db.calculateAvailableBudget(2026, 10);
+  assert.strictEqual(budget.installmentObligations, 30000);
+  assert.strictEqual(budget.fixedExpenses, 30000);
+});
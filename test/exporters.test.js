@@ -0,0 +1,59 @@
+/**
+ * Transaction export (db.getExportTransactions and exporters.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+const exporters = require('../exporters');
+
+const charge = {
+  id: 'Card-id-1',
+  date: '2026-09-04',
+  account: 'Card',
+  description: 'שופרסל דיל',
+  amount: -30000,
+  status: 'completed',
+};
+
+test('a split transaction is one ledger entry with a posting per part', () => {
+  const parts = [
+    { ...charge, amount: -20000, category_name: 'מזון', split_of: charge.id },
+    { ...charge, amount: -10000, category_name: 'בית', user_comment: 'סבון', split_of: charge.id },
+  ];
+  assert.strictEqual(exporters.toLedger(parts), [
+    '2026-09-04 * שופרסל דיל',
+    '    ; id: Card-id-1',
+    '    Expenses:מזון  200.00 ILS',
+    '    Expenses:בית  100.00 ILS  ; סבון',
+    '    Assets:Card',
+    '',
+  ].join('\n'));
+});
+
+test('split parts are CSV rows of their own', () => {
+  const parts = [
+    { ...charge, amount: -20000, category_name: 'מזון', split_of: charge.id },
+    { ...charge, amount: -10000, category_name: 'בית', split_of: charge.id },
+  ];
+  const rows = exporters.toCsv(parts).trim().split('\r\n').slice(1);
+  assert.strictEqual(rows.length, 2);
+  assert.match(rows[0], /,-200\.00,מזון,/);
+  assert.match(rows[1], /,-100\.00,בית,/);
+});
+
+test('exports list a split transaction as its parts', () => {
+  const food = db.createCategory('מזון');
+  const home = db.createCategory('בית');
+  db.upsertTransactions([{ identifier: '42', date: '2026-09-04', amount: -30000, description: 'שופרסל דיל', status: 'completed' }], 'Card');
+  db.setTransactionSplits('Card-id-42', [{ amount: -20000, categoryId: food.id }, { amount: -10000, categoryId: home.id }]);
+
+  const rows = db.getExportTransactions({ from: '2026-09-04', to: '2026-09-04' });
+  assert.deepStrictEqual(rows.map(row => [row.id, row.amount, row.category_name]), [
+    ['Card-id-42', -20000, 'מזון'],
+    ['Card-id-42', -10000, 'בית'],
+  ]);
+  assert.deepStrictEqual(db.getExportTransactions({ categories: [home.id] }).map(row => row.amount), [-10000]);
+});
@@ -0,0 +1,26 @@
+/**
+ * Test helpers - every test file runs in its own process with a scratch database
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+/**
+ * Point DB_PATH (and BACKUP_DIR) at a temp directory and load db.js
+ * Call before requiring anything that requires db.js; the directory is removed after the tests
+ */
+function openTestDb() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finance-test-'));
+  process.env.DB_PATH = path.join(dir, 'finance.db');
+  process.env.BACKUP_DIR = path.join(dir, 'backups');
+  process.env.TZ = 'Asia/Jerusalem';
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return require('../db');
+}
+
+module.exports = {
+  openTestDb,
+};
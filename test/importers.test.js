@@ -0,0 +1,32 @@
+/**
+ * Statement file importers (importers/ofx.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readOfxTransactions } = require('../importers/ofx');
+
+function statement(...amounts) {
+  return [
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+    '<BANKACCTFROM><ACCTID>12-345-678</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    ...amounts.map((amount, i) => [
+      '<STMTTRN>',
+      '<TRNTYPE>DEBIT',
+      '<DTPOSTED>20260915',
+      `<TRNAMT>${amount}`,
+      `<FITID>${i + 1}`,
+      '<NAME>העברה',
+      '</STMTTRN>',
+    ].join('\n')),
+    '</BANKTRANLIST>',
+    '</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+  ].join('\n');
+}
+
+test('a thousands-separated TRNAMT is read in either notation', () => {
+  const { transactions, errors } = readOfxTransactions(statement('1,234.56', '-1.234,56', '-99,90', '-250'));
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(transactions.map(t => t.amount), [123456, -123456, -9990, -25000]);
+});
@@ -0,0 +1,63 @@
+/**
+ * Replays fixtures/example.json through the real scrape path: mapping, upsert,
+ * dedupe and categorization
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+const { scrapeBank } = require('../scrape');
+
+const EXAMPLE = {
+  name: 'Example',
+  provider: 'replay',
+  companyId: 'replay',
+  fixture: 'fixtures/example.json',
+  enabled: true,
+  missing: [],
+  credentials: {},
+};
+
+const byDescription = description =>
+  db.getExportTransactions().find(txn => txn.description === description);
+
+test('replaying a fixture inserts every transaction, replaying it again updates them', async () => {
+  assert.deepStrictEqual(await scrapeBank(EXAMPLE), { success: true, skipped: false, inserted: 5, updated: 0 });
+  assert.deepStrictEqual(await scrapeBank(EXAMPLE), { success: true, skipped: false, inserted: 0, updated: 5 });
+  assert.strictEqual(db.getExportTransactions().length, 5);
+});
+
+test('pending charges keep their status', () => {
+  const coffee = byDescription('קפה גרג');
+  assert.strictEqual(coffee.status, 'pending');
+  assert.strictEqual(coffee.amount, -1800);
+  assert.strictEqual(byDescription('שופרסל דיל').status, 'completed');
+});
+
+test('installments are stored with their number and purchase group', () => {
+  const txn = db.getTransaction(byDescription('מחסני חשמל').id);
+  assert.strictEqual(txn.installment_number, 2);
+  assert.strictEqual(txn.installment_total, 12);
+  assert.strictEqual(txn.installment_group, 'Example|מחסני חשמל|12|2026-09');
+  // The original amount is the whole purchase, so no exchange rate
+  assert.strictEqual(txn.exchange_rate, null);
+});
+
+test('foreign currency purchases keep the original amount and rate', () => {
+  const txn = db.getTransaction(byDescription('AMAZON MKTPLACE').id);
+  assert.strictEqual(txn.amount, -9745);
+  assert.strictEqual(txn.original_amount, -2599);
+  assert.strictEqual(txn.original_currency, 'USD');
+  assert.strictEqual(txn.exchange_rate, 3.7495);
+});
+
+test('category rules categorize replayed transactions, and replaying again keeps the category', async () => {
+  const category = db.createCategory('מנויים');
+  const { applied } = db.createCategoryRule({ pattern: 'נטפליקס', matchType: 'equals', categoryId: category.id });
+  assert.strictEqual(applied, 1);
+
+  await scrapeBank(EXAMPLE);
+  assert.strictEqual(byDescription('נטפליקס').category_id, category.id);
+});
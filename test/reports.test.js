@@ -0,0 +1,38 @@
+/**
+ * Foreign spending report (db.getForeignSpendingReport)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+
+test('an installment counts only its share of the original amount', () => {
+  db.upsertTransactions([
+    // A $900 purchase in 3 installments of ₪1,100
+    {
+      identifier: '7001',
+      date: '2026-09-05',
+      amount: -110000,
+      description: 'APPLE.COM',
+      status: 'completed',
+      installmentNumber: 1,
+      installmentTotal: 3,
+      originalAmount: -90000,
+      originalCurrency: 'USD',
+    },
+    {
+      identifier: '7002',
+      date: '2026-09-12',
+      amount: -18500,
+      description: 'AMAZON',
+      status: 'completed',
+      originalAmount: -5000,
+      originalCurrency: 'USD',
+    },
+  ], 'Card');
+
+  const [september] = db.getForeignSpendingReport(2026);
+  assert.deepStrictEqual(september.byCurrency.USD, { count: 2, originalTotal: 35000, chargedTotal: 128500 });
+});
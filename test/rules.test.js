@@ -0,0 +1,57 @@
+/**
+ * Category rules learned from the user's choices (db.setTransactionCategory)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+
+let count = 0;
+const addTransaction = description => {
+  count++;
+  db.upsertTransactions([{ identifier: String(count), date: '2026-09-05', amount: -5000, description, status: 'completed' }], 'Bank');
+  return `Bank-id-${count}`;
+};
+
+const learnedRule = description => db.getCategoryRules().find(rule => rule.is_auto && rule.description_pattern.startsWith(description));
+
+test('a short merchant with a number learns an equals rule', () => {
+  const category = db.createCategory('העברות לחברים');
+  const bit = addTransaction('ביט 0501234567');
+  const otherBit = addTransaction('ביט 0527654321');
+  const insurance = addTransaction('ביטוח ישיר 123');
+
+  db.setTransactionCategory(bit, category.id);
+
+  assert.deepStrictEqual(
+    [learnedRule('ביט').match_type, learnedRule('ביט').description_pattern],
+    ['equals', 'ביט 0501234567']);
+  assert.strictEqual(db.getTransaction(otherBit).category_id, null);
+  assert.strictEqual(db.getTransaction(insurance).category_id, null);
+});
+
+test('merchants sharing a prefix each learn their own starts-with rule', () => {
+  const food = db.createCategory('מזון');
+  const home = db.createCategory('לבית');
+  const branch1 = addTransaction('שופרסל דיל 123');
+  const branch2 = addTransaction('שופרסל דיל 45');
+  const other = addTransaction('שופרסל אקספרס 7');
+
+  db.setTransactionCategory(branch1, food.id);
+  assert.strictEqual(learnedRule('שופרסל דיל').match_type, 'starts-with');
+  assert.strictEqual(db.getTransaction(branch2).category_id, food.id);
+  assert.strictEqual(db.getTransaction(other).category_id, null);
+
+  db.setTransactionCategory(other, home.id);
+  assert.strictEqual(learnedRule('שופרסל אקספרס').description_pattern, 'שופרסל אקספרס');
+  assert.strictEqual(db.getTransaction(branch2).category_id, food.id);
+});
+
+test('a number glued to the name is not dropped', () => {
+  const category = db.createCategory('מסעדות');
+  addTransaction('KFC123');
+  db.setTransactionCategory(`Bank-id-${count}`, category.id);
+  assert.deepStrictEqual([learnedRule('KFC').match_type, learnedRule('KFC').description_pattern], ['equals', 'KFC123']);
+});
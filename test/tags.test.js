@@ -0,0 +1,22 @@
+/**
+ * Tag summaries (db.getTagSummary)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+
+test('a tagged transfer is left out of the count as well as the totals', () => {
+  db.upsertTransactions([
+    { identifier: '1', date: '2026-08-01', amount: -120000, description: 'מלון באילת', status: 'completed' },
+    { identifier: '2', date: '2026-08-02', amount: -50000, description: 'העברה לחיסכון', status: 'completed' },
+  ], 'Bank');
+  db.setTransactionTransfer('Bank-id-2', true);
+  db.updateTransactionTags(['Bank-id-1', 'Bank-id-2'], { add: ['חופשה'] });
+
+  const summary = db.getTagSummary('חופשה');
+  assert.strictEqual(summary.expenses, 120000);
+  assert.strictEqual(summary.transactionCount, 1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Transaction IDs and dedupe (db.upsertTransactions)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { openTestDb } = require('./helpers');
+
+const db = openTestDb();
+
+// Installment n of a 12 x ₪300 purchase, as a card provider reports it
+const installment = (number, chargeMonth) => ({
+  identifier: '555',
+  date: '2026-06-10',
+  processedDate: `${chargeMonth}-02`,
+  amount: -30000,
+  description: 'מחסני חשמל',
+  memo: `תשלום ${number} מתוך 12`,
+  status: 'completed',
+  installmentNumber: number,
+  installmentTotal: 12,
+});
+
+test('installments of one purchase sharing an identifier are kept apart', () => {
+  assert.deepStrictEqual(db.upsertTransactions([installment(3, '2026-08')], 'Card'), { inserted: 1, updated: 0 });
+  assert.deepStrictEqual(db.upsertTransactions([installment(4, '2026-09')], 'Card'), { inserted: 1, updated: 0 });
+  assert.deepStrictEqual(db.upsertTransactions([installment(3, '2026-08'), installment(4, '2026-09')], 'Card'),
+    { inserted: 0, updated: 2 });
+
+  assert.strictEqual(db.getTransaction('Card-id-555-3/12').installment_number, 3);
+  assert.strictEqual(db.getTransaction('Card-id-555-4/12').installment_number, 4);
+  assert.strictEqual(db.getTransaction('Card-id-555'), null);
+});
+
+test('an installment saved under the bare identifier is adopted only by its own installment', () => {
+  db.upsertTransactions([{ ...installment(5, '2026-10'), identifier: '777' }], 'Card');
+  // As saved before installment numbers were part of the ID
+  new Database(process.env.DB_PATH).prepare('UPDATE transactions SET id = ? WHERE id = ?')
+    .run('Card-id-777', 'Card-id-777-5/12');
+
+  assert.deepStrictEqual(db.upsertTransactions([{ ...installment(6, '2026-11'), identifier: '777' }], 'Card'),
+    { inserted: 1, updated: 0 });
+  assert.strictEqual(db.getTransaction('Card-id-777').installment_number, 5);
+
+  assert.deepStrictEqual(db.upsertTransactions([{ ...installment(5, '2026-10'), identifier: '777' }], 'Card'),
+    { inserted: 0, updated: 1 });
+  assert.strictEqual(db.getTransaction('Card-id-777'), null);
+  assert.strictEqual(db.getTransaction('Card-id-777-5/12').installment_number, 5);
+});
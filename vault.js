@@ -0,0 +1,192 @@
+/**
+ * Credential Vault - Bank logins stored encrypted in the SQLite DB
+ *
+ * A 256-bit key is derived from a master passphrase with scrypt and kept in
+ * memory only while the vault is unlocked. Each account's login fields are
+ * encrypted with AES-256-GCM (the account name is bound as associated data,
+ * so a secret can't be moved to another account). The passphrase comes from
+ * VAULT_PASSPHRASE or from the dashboard's unlock form.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const CHECK_PLAINTEXT = 'finance-vault';
+
+let key = null;
+
+// ===========================================
+// ENCRYPTION
+// ===========================================
+
+/**
+ * Derive the vault key from the passphrase
+ */
+function deriveKey(passphrase, { salt, N, r, p }) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+/**
+ * Encrypt a string, returns "iv.tag.ciphertext" (base64 parts)
+ */
+function encrypt(plaintext, aad, withKey = key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', withKey, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt an "iv.tag.ciphertext" string (throws if the key or data is wrong)
+ */
+function decrypt(payload, aad, withKey = key) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', withKey, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// ===========================================
+// LOCK / UNLOCK
+// ===========================================
+
+/**
+ * Check if a master passphrase was ever set
+ */
+function isInitialized() {
+  return db.getVaultConfig() !== null;
+}
+
+/**
+ * Check if the key is in memory
+ */
+function isUnlocked() {
+  return key !== null;
+}
+
+/**
+ * Unlock the vault with the master passphrase
+ * The first unlock sets the passphrase; later ones throw if it doesn't match
+ */
+function unlock(passphrase) {
+  if (!passphrase) {
+    throw new Error('Passphrase is required');
+  }
+
+  let config = db.getVaultConfig();
+  if (!config) {
+    config = { salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+    const newKey = deriveKey(passphrase, config);
+    db.setVaultConfig({ ...config, check: encrypt(CHECK_PLAINTEXT, 'check', newKey) });
+    key = newKey;
+    return;
+  }
+
+  const candidate = deriveKey(passphrase, config);
+  try {
+    decrypt(config.check, 'check', candidate);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+  key = candidate;
+}
+
+/**
+ * Unlock with VAULT_PASSPHRASE if it's set and the vault is still locked
+ */
+function unlockFromEnv() {
+  if (!isUnlocked() && process.env.VAULT_PASSPHRASE) {
+    unlock(process.env.VAULT_PASSPHRASE);
+  }
+  return isUnlocked();
+}
+
+/**
+ * Forget the key
+ */
+function lock() {
+  key = null;
+}
+
+// ===========================================
+// CREDENTIALS
+// ===========================================
+
+/**
+ * Get the decrypted login fields of an account
+ * Returns null if the vault is locked or has nothing for the account
+ */
+function getCredentials(account) {
+  if (!isUnlocked()) return null;
+  const secret = db.getCredentialSecret(account);
+  return secret ? JSON.parse(decrypt(secret, account)) : null;
+}
+
+/**
+ * Add or rotate the login fields of an account
+ */
+function setCredentials(account, credentials) {
+  if (!isUnlocked()) {
+    throw new Error('Vault is locked');
+  }
+  db.saveCredential(account, Object.keys(credentials), encrypt(JSON.stringify(credentials), account));
+}
+
+/**
+ * Delete the stored login of an account
+ */
+function deleteCredentials(account) {
+  return db.deleteCredential(account);
+}
+
+/**
+ * Store logins taken from another source - runs once (the .env migration)
+ * Accounts that already have a stored login are left alone
+ */
+function importCredentials(entries) {
+  const config = db.getVaultConfig();
+  if (!isUnlocked() || config.envImported) return [];
+
+  const imported = [];
+  for (const { account, credentials } of entries) {
+    if (db.getCredentialSecret(account)) continue;
+    setCredentials(account, credentials);
+    imported.push(account);
+  }
+
+  db.setVaultConfig({ ...config, envImported: true });
+  return imported;
+}
+
+/**
+ * Get the vault state and which accounts have stored logins (no secrets)
+ */
+function getStatus() {
+  return {
+    initialized: isInitialized(),
+    unlocked: isUnlocked(),
+    credentials: db.listCredentials(),
+  };
+}
+
+module.exports = {
+  isInitialized,
+  isUnlocked,
+  unlock,
+  unlockFromEnv,
+  lock,
+  getCredentials,
+  setCredentials,
+  deleteCredentials,
+  importCredentials,
+  getStatus,
+};